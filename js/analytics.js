@@ -0,0 +1,337 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - RESULTS ANALYTICS
+ * ========================================================================
+ *
+ * DOM-free statistics over recorded runs, for organisers looking back at
+ * where teams struggled:
+ * - Score distribution (a histogram of final scores)
+ * - How often each checkpoint was reached: named checkpoints by name,
+ *   counted ones as "at least N"
+ * - Restarts per run and the time bonus's share of all points
+ * - Average points per breakdown component (S, E, C, R, B, T, custom
+ *   components, formula and disqualification), as in the score breakdown
+ * - Scores by attempt number, per team and on average
+ *
+ * CHARTS: The same data drawn as SVG markup strings (no chart library or
+ * service). Shapes carry classes (chart-bar, chart-axis, ...) so the page
+ * styles them, dark mode included.
+ *
+ * Like export.js, this file works both as a page script and as a
+ * CommonJS module from Node.
+ *
+ * ====================================================================== */
+
+// Histogram columns to aim for
+const SCORE_BIN_TARGET = 8;
+
+// Teams drawn individually in the attempts chart; beyond that only the average
+const PROGRESSION_TEAM_LIMIT = 12;
+
+// scoring-engine.js and export.js are globals in the page and sibling
+// modules in Node
+function getAnalyticsScoringModule() {
+    return typeof getComponentPoints === 'function'
+        ? { getComponentPoints }
+        : require('./scoring-engine.js');
+}
+
+function getAnalyticsExportModule() {
+    return typeof getComponentColumns === 'function'
+        ? { getComponentColumns }
+        : require('./export.js');
+}
+
+// ===== STATISTICS =====
+
+function sumOf(values) {
+    return values.reduce((sum, value) => sum + value, 0);
+}
+
+function averageOf(values) {
+    return values.length > 0 ? sumOf(values) / values.length : null;
+}
+
+// Round a step up to 1, 2 or 5 times a power of ten
+function getNiceStep(rawStep) {
+    if (!(rawStep > 0)) {
+        return 1;
+    }
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 5, 10].find(factor => factor * magnitude >= rawStep - 1e-9);
+    return step * magnitude;
+}
+
+// Final scores in bins of a round width: [{ from, to, count }]
+function buildScoreDistribution(runs, binTarget = SCORE_BIN_TARGET) {
+    if (runs.length === 0) {
+        return [];
+    }
+
+    const scores = runs.map(run => run.result.finalScore);
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+    const width = getNiceStep((max - min) / binTarget);
+    const first = Math.floor(min / width) * width;
+    const count = Math.max(1, Math.floor((max - first) / width) + 1);
+
+    const bins = Array.from({ length: count }, (_, index) => ({
+        from: first + index * width,
+        to: first + (index + 1) * width,
+        count: 0
+    }));
+    scores.forEach(score => {
+        bins[Math.min(count - 1, Math.floor((score - first) / width))].count++;
+    });
+    return bins;
+}
+
+// How many runs reached each checkpoint: [{ label, count, runs, share }].
+// Named checkpoints are matched by name; plain counts give "at least N".
+function buildCheckpointReach(runs) {
+    const named = [];
+    const namedRuns = [];
+    const countedRuns = [];
+
+    runs.forEach(run => {
+        const component = run.result.components.find(c => c.code === 'C');
+        if (component && component.items) {
+            namedRuns.push(run);
+            component.items.forEach(item => {
+                let entry = named.find(e => e.label === item.name);
+                if (!entry) {
+                    entry = { label: item.name, count: 0 };
+                    named.push(entry);
+                }
+                if (item.cleared) {
+                    entry.count++;
+                }
+            });
+        } else {
+            countedRuns.push(run);
+        }
+    });
+
+    const most = Math.max(0, ...countedRuns.map(run => run.input.checkpoints || 0));
+    const counted = Array.from({ length: most }, (_, index) => ({
+        label: `${index + 1}+ checkpoint${index === 0 ? '' : 's'}`,
+        count: countedRuns.filter(run => (run.input.checkpoints || 0) > index).length
+    }));
+
+    return [
+        ...named.map(entry => ({ ...entry, runs: namedRuns.length, share: entry.count / namedRuns.length })),
+        ...counted.map(entry => ({ ...entry, runs: countedRuns.length, share: entry.count / countedRuns.length }))
+    ];
+}
+
+// Runs by number of restarts, the last column collecting `cap` and more
+function buildRestartCounts(runs, cap = 4) {
+    const counts = Array.from({ length: cap + 1 }, (_, restarts) => ({
+        label: restarts === cap ? `${cap}+` : String(restarts),
+        count: 0
+    }));
+    runs.forEach(run => {
+        counts[Math.min(cap, run.input.restarts || 0)].count++;
+    });
+    return counts;
+}
+
+// Average and total points of every breakdown component, in breakdown order
+function buildComponentAverages(runs) {
+    const scoring = getAnalyticsScoringModule();
+    return getAnalyticsExportModule().getComponentColumns(runs).map(column => {
+        const points = runs.map(run => scoring.getComponentPoints(run.result, column.code));
+        const custom = runs.some(run => run.result.components.some(c => c.code === column.code && c.custom));
+        return { ...column, custom, total: sumOf(points), average: averageOf(points) };
+    });
+}
+
+// Scores by attempt number: each team's, and the average of all teams
+// that made that attempt. Attempts are counted within `runs`, so a
+// team's first run of a round is attempt 1 of that round.
+function buildAttemptProgression(runs, teams) {
+    const series = teams
+        .map(team => ({
+            team,
+            scores: runs
+                .filter(run => run.teamId === team.id)
+                .sort((a, b) => a.attempt - b.attempt)
+                .map(run => run.result.finalScore)
+        }))
+        .filter(entry => entry.scores.length > 0);
+
+    const attemptCount = Math.max(0, ...series.map(entry => entry.scores.length));
+    const attempts = Array.from({ length: attemptCount }, (_, index) => index + 1);
+
+    return {
+        attempts,
+        teams: series.map(entry => ({
+            team: entry.team,
+            scores: attempts.map((_, index) => index < entry.scores.length ? entry.scores[index] : null)
+        })),
+        average: attempts.map((_, index) => averageOf(series
+            .filter(entry => index < entry.scores.length)
+            .map(entry => entry.scores[index])))
+    };
+}
+
+// Everything the dashboard shows for a set of recorded runs
+function buildRunAnalytics(runs, teams) {
+    const scores = runs.map(run => run.result.finalScore);
+    const totalPoints = sumOf(scores);
+    const scoring = getAnalyticsScoringModule();
+    const timeBonus = sumOf(runs.map(run => scoring.getComponentPoints(run.result, 'T')));
+
+    return {
+        runCount: runs.length,
+        teamCount: new Set(runs.map(run => run.teamId)).size,
+        averageScore: averageOf(scores),
+        bestScore: runs.length > 0 ? Math.max(...scores) : null,
+        averageRestarts: averageOf(runs.map(run => run.input.restarts || 0)),
+        timeBonusShare: totalPoints > 0 ? timeBonus / totalPoints : null,
+        distribution: buildScoreDistribution(runs),
+        checkpoints: buildCheckpointReach(runs),
+        restarts: buildRestartCounts(runs),
+        components: buildComponentAverages(runs),
+        progression: buildAttemptProgression(runs, teams)
+    };
+}
+
+// ===== CHARTS =====
+
+const CHART_WIDTH = 560;
+
+function escapeChartText(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Numbers on axes and bars: whole numbers as they are, others to 1 decimal
+function formatChartNumber(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+function renderChartSvg(height, content, label) {
+    return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${height}" width="100%" role="img" aria-label="${escapeChartText(label)}">${content}</svg>`;
+}
+
+// Vertical columns from zero: [{ label, value, title }]
+function renderColumnChartSvg(columns, { label = '', height = 200, format = formatChartNumber } = {}) {
+    const top = 16;
+    const bottom = 24;
+    const left = 36;
+    const plotHeight = height - top - bottom;
+    const step = getNiceStep(Math.max(1, ...columns.map(column => column.value)) / 4);
+    const max = Math.max(step, Math.ceil(Math.max(0, ...columns.map(column => column.value)) / step) * step);
+    const slot = (CHART_WIDTH - left) / Math.max(1, columns.length);
+    const y = value => top + plotHeight - (value / max) * plotHeight;
+
+    const grid = [];
+    for (let value = 0; value <= max + 1e-9; value += step) {
+        grid.push(`<line class="chart-grid" x1="${left}" x2="${CHART_WIDTH}" y1="${y(value)}" y2="${y(value)}"/>` +
+            `<text class="chart-tick" x="${left - 6}" y="${y(value) + 4}" text-anchor="end">${formatChartNumber(value)}</text>`);
+    }
+
+    const bars = columns.map((column, index) => {
+        const x = left + index * slot + slot * 0.15;
+        const width = slot * 0.7;
+        return `<g><title>${escapeChartText(column.title || `${column.label}: ${format(column.value)}`)}</title>` +
+            `<rect class="chart-bar" x="${x}" y="${y(column.value)}" width="${width}" height="${y(0) - y(column.value)}" rx="2"/>` +
+            (column.value > 0 ? `<text class="chart-value" x="${x + width / 2}" y="${y(column.value) - 4}" text-anchor="middle">${format(column.value)}</text>` : '') +
+            `<text class="chart-label" x="${x + width / 2}" y="${height - 8}" text-anchor="middle">${escapeChartText(column.label)}</text></g>`;
+    }).join('');
+
+    return renderChartSvg(height, grid.join('') + bars, label);
+}
+
+// Horizontal bars around a zero line, so deductions point left:
+// [{ label, value, title }]
+function renderBarChartSvg(bars, { label = '', format = formatChartNumber } = {}) {
+    const rowHeight = 26;
+    const labelWidth = 150;
+    const valueWidth = 56;
+    const height = bars.length * rowHeight + 8;
+    const min = Math.min(0, ...bars.map(bar => bar.value));
+    const max = Math.max(0, ...bars.map(bar => bar.value));
+    const span = max - min || 1;
+    const plotWidth = CHART_WIDTH - labelWidth - valueWidth;
+    const x = value => labelWidth + ((value - min) / span) * plotWidth;
+
+    const rows = bars.map((bar, index) => {
+        const rowY = 4 + index * rowHeight;
+        const start = Math.min(x(0), x(bar.value));
+        const width = Math.abs(x(bar.value) - x(0));
+        return `<g><title>${escapeChartText(bar.title || `${bar.label}: ${format(bar.value)}`)}</title>` +
+            `<text class="chart-label" x="${labelWidth - 8}" y="${rowY + 17}" text-anchor="end">${escapeChartText(bar.label)}</text>` +
+            `<rect class="chart-bar${bar.value < 0 ? ' negative' : ''}" x="${start}" y="${rowY + 4}" width="${width}" height="${rowHeight - 8}" rx="2"/>` +
+            `<text class="chart-value" x="${CHART_WIDTH - 4}" y="${rowY + 17}" text-anchor="end">${format(bar.value)}</text></g>`;
+    }).join('');
+
+    return renderChartSvg(height, `<line class="chart-axis" x1="${x(0)}" x2="${x(0)}" y1="0" y2="${height}"/>` + rows, label);
+}
+
+// Lines over numbered points; a null value breaks its line:
+// [{ name, values, className }]
+function renderLineChartSvg(series, xLabels, { label = '', height = 220 } = {}) {
+    const top = 12;
+    const bottom = 24;
+    const left = 40;
+    const right = 16;
+    const values = series.flatMap(s => s.values).filter(value => value !== null);
+    const low = Math.min(0, ...values);
+    const step = getNiceStep((Math.max(1, ...values) - low) / 4);
+    const min = Math.floor(low / step) * step;
+    const max = Math.max(min + step, Math.ceil(Math.max(...values, 0) / step) * step);
+    const plotHeight = height - top - bottom;
+    const gap = (CHART_WIDTH - left - right) / Math.max(1, xLabels.length - 1);
+    const x = index => xLabels.length === 1 ? (CHART_WIDTH + left - right) / 2 : left + index * gap;
+    const y = value => top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+
+    const grid = [];
+    for (let value = min; value <= max + 1e-9; value += step) {
+        grid.push(`<line class="chart-grid" x1="${left}" x2="${CHART_WIDTH - right}" y1="${y(value)}" y2="${y(value)}"/>` +
+            `<text class="chart-tick" x="${left - 6}" y="${y(value) + 4}" text-anchor="end">${formatChartNumber(value)}</text>`);
+    }
+    const ticks = xLabels.map((text, index) =>
+        `<text class="chart-label" x="${x(index)}" y="${height - 8}" text-anchor="middle">${escapeChartText(text)}</text>`);
+
+    const lines = series.map(s => {
+        // Split at gaps so a missing attempt doesn't draw a misleading segment
+        const segments = [[]];
+        s.values.forEach((value, index) => {
+            if (value === null) {
+                segments.push([]);
+            } else {
+                segments[segments.length - 1].push(`${x(index)},${y(value)}`);
+            }
+        });
+        const points = s.values.map((value, index) => value === null ? '' :
+            `<circle class="chart-point" cx="${x(index)}" cy="${y(value)}" r="3"><title>${escapeChartText(`${s.name}, ${xLabels[index]}: ${formatChartNumber(value)}`)}</title></circle>`).join('');
+        return `<g class="chart-series ${s.className || ''}">` +
+            segments.filter(segment => segment.length > 1)
+                .map(segment => `<polyline class="chart-line" points="${segment.join(' ')}"/>`).join('') +
+            points + '</g>';
+    }).join('');
+
+    return renderChartSvg(height, grid.join('') + ticks.join('') + lines, label);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCORE_BIN_TARGET,
+        PROGRESSION_TEAM_LIMIT,
+        getNiceStep,
+        buildScoreDistribution,
+        buildCheckpointReach,
+        buildRestartCounts,
+        buildComponentAverages,
+        buildAttemptProgression,
+        buildRunAnalytics,
+        formatChartNumber,
+        renderColumnChartSvg,
+        renderBarChartSvg,
+        renderLineChartSvg
+    };
+}
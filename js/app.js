@@ -5,6 +5,8 @@
  * FEATURES:
  * - Preset Management: Built-in and custom user presets
  * - Import/Export: JSON-based configuration sharing
+ * - Share Links: Rules in a URL fragment and QR code (see share.js)
+ * - Judge Lock: PIN-protected settings and a rules fingerprint (see judge-lock.js)
  * - Validation: Real-time input validation with error display
  * - Persistence: LocalStorage for settings and presets
  * - Toast Notifications: User-friendly feedback system
@@ -24,51 +26,11 @@
  *
  * ====================================================================== */
 
-// ===== SCORING RULES (DEFAULT VALUES) =====
-const DEFAULT_RULES = {
-    startPoint: 20,
-    endPoint: 20,
-    checkpoint: 150,
-    restart: -70,
-    bonus: 150,
-    timeMultiplier: 1,
-    totalTime: 5
-};
-
-// Built-in Competition Presets
-const BUILT_IN_PRESETS = {
-    'Default': { ...DEFAULT_RULES },
-    'RoboCup Junior': {
-        startPoint: 0,
-        endPoint: 50,
-        checkpoint: 100,
-        restart: -50,
-        bonus: 200,
-        timeMultiplier: 2,
-        totalTime: 8
-    },
-    'WRO Regular': {
-        startPoint: 10,
-        endPoint: 30,
-        checkpoint: 120,
-        restart: -60,
-        bonus: 100,
-        timeMultiplier: 1.5,
-        totalTime: 5
-    },
-    'FIRST LEGO League': {
-        startPoint: 15,
-        endPoint: 25,
-        checkpoint: 80,
-        restart: -40,
-        bonus: 150,
-        timeMultiplier: 1,
-        totalTime: 3
-    }
-};
-
+// DEFAULT_RULES and BUILT_IN_PRESETS live in scoring-engine.js
 let scoringRules = { ...DEFAULT_RULES };
 let userPresets = {};
+// Run in progress: state, undo / redo history and audit trail (see run-state.js)
+let runHistory = createRunHistory();
 
 // ===== UTILITY FUNCTIONS =====
 
@@ -103,29 +65,19 @@ function showToast(message, type = 'success') {
     }, 3000);
 }
 
-// Validation
-function validateRules(rules) {
-    const errors = {};
-
-    if (rules.timeMultiplier < 0) {
-        errors.timeMultiplier = 'Time multiplier cannot be negative';
-    }
-
-    if (rules.totalTime !== undefined && rules.totalTime < 0) {
-        errors.totalTime = 'Total time cannot be negative';
-    }
-
-    // Check for unreasonable values
-    const maxValue = 10000;
-    const minValue = -10000;
-
-    Object.keys(rules).forEach(key => {
-        if (key !== 'timeMultiplier' && key !== 'totalTime' && (rules[key] > maxValue || rules[key] < minValue)) {
-            errors[key] = `Value must be between ${minValue} and ${maxValue}`;
-        }
-    });
+// Escape user-entered text before it goes into innerHTML
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
-    return errors;
+// ruleKey -> rule-key, used for settings element ids
+function toKebabCase(key) {
+    return key.replace(/([A-Z])/g, '-$1').toLowerCase();
 }
 
 function displayValidationErrors(errors) {
@@ -134,14 +86,14 @@ function displayValidationErrors(errors) {
         el.classList.remove('active');
         el.textContent = '';
     });
-    document.querySelectorAll('.settings-group input').forEach(el => {
+    document.querySelectorAll('.settings-group input, .settings-group select, .settings-group textarea').forEach(el => {
         el.classList.remove('error');
     });
 
     // Display new errors
     Object.keys(errors).forEach(key => {
-        const errorEl = document.getElementById(`error-${key.replace(/([A-Z])/g, '-$1').toLowerCase()}`);
-        const inputEl = document.getElementById(`rule-${key.replace(/([A-Z])/g, '-$1').toLowerCase()}`);
+        const errorEl = document.getElementById(`error-${toKebabCase(key)}`);
+        const inputEl = document.getElementById(`rule-${toKebabCase(key)}`);
         if (errorEl && inputEl) {
             errorEl.textContent = errors[key];
             errorEl.classList.add('active');
@@ -150,6 +102,14 @@ function displayValidationErrors(errors) {
     });
 }
 
+// Fill in the main form's time allotted after the rules changed. Listeners
+// (e.g. the audience scoreboard's sync) hear it as a change.
+function setTotalTimeInput(minutes) {
+    const input = document.getElementById('total-time');
+    input.value = minutes;
+    input.dispatchEvent(new Event('change'));
+}
+
 // Load saved settings from localStorage
 function loadSettings() {
     const saved = localStorage.getItem('lfrScoringRules');
@@ -157,17 +117,18 @@ function loadSettings() {
 
     if (saved) {
         try {
-            scoringRules = JSON.parse(saved);
+            // Fill in rule keys added since the settings were saved
+            scoringRules = { ...DEFAULT_RULES, ...JSON.parse(saved) };
             updateSettingsInputs();
             // Pre-fill main interface total time input with settings value
-            document.getElementById('total-time').value = scoringRules.totalTime || 5;
+            setTotalTimeInput(scoringRules.totalTime || 5);
         } catch (e) {
             console.error('Error loading settings:', e);
             scoringRules = { ...DEFAULT_RULES };
         }
     } else {
         // On first load, set the default value
-        document.getElementById('total-time').value = scoringRules.totalTime || 5;
+        setTotalTimeInput(scoringRules.totalTime || 5);
     }
 
     if (savedPresets) {
@@ -191,10 +152,14 @@ function saveUserPresets() {
     localStorage.setItem('lfrUserPresets', JSON.stringify(userPresets));
 }
 
-// Update preset dropdown
-function updatePresetDropdown() {
-    const select = document.getElementById('preset-select');
-    select.innerHTML = '<option value="">Select a preset...</option>';
+// Fill a preset dropdown (the settings one by default) with built-in and
+// user presets. Option values are "builtin:Name" / "user:Name".
+function updatePresetDropdown(select = document.getElementById('preset-select'), emptyLabel = 'Select a preset...') {
+    select.innerHTML = '';
+    const emptyOption = document.createElement('option');
+    emptyOption.value = '';
+    emptyOption.textContent = emptyLabel;
+    select.appendChild(emptyOption);
 
     // Add built-in presets
     const builtInGroup = document.createElement('optgroup');
@@ -221,35 +186,41 @@ function updatePresetDropdown() {
     }
 }
 
-// Load preset
-function loadPreset(presetKey) {
-    const [type, name] = presetKey.split(':');
-    let rules;
+// Name in a preset dropdown value ("user:Regional"). User preset names
+// may contain ':'.
+function getPresetName(presetKey) {
+    return presetKey.slice(presetKey.indexOf(':') + 1);
+}
 
-    if (type === 'builtin') {
-        rules = BUILT_IN_PRESETS[name];
-    } else if (type === 'user') {
-        rules = userPresets[name];
+// Rules of a preset dropdown value, or undefined
+function getPresetRules(presetKey) {
+    const type = presetKey.slice(0, presetKey.indexOf(':'));
+    const name = getPresetName(presetKey);
+    const presets = { builtin: BUILT_IN_PRESETS, user: userPresets }[type];
+
+    if (presets && Object.prototype.hasOwnProperty.call(presets, name)) {
+        return presets[name];
     }
+}
+
+// Load preset
+function loadPreset(presetKey) {
+    const name = getPresetName(presetKey);
+    const rules = getPresetRules(presetKey);
 
     if (rules) {
-        scoringRules = { ...rules };
+        scoringRules = { ...DEFAULT_RULES, ...rules };
         updateSettingsInputs();
         displayValidationErrors({});
         // Update main interface total time input when preset is loaded
-        document.getElementById('total-time').value = scoringRules.totalTime || 5;
-        showToast(`Loaded preset: ${name}`, 'success');
+        setTotalTimeInput(scoringRules.totalTime || 5);
+        showToast(`Loaded preset: ${escapeHtml(name)}`, 'success');
     }
 }
 
 // Export configuration
 function exportConfiguration() {
-    const config = {
-        name: 'Custom LFR Scoring Configuration',
-        version: '1.0',
-        timestamp: new Date().toISOString(),
-        rules: scoringRules
-    };
+    const config = createConfigFile(scoringRules);
 
     const dataStr = JSON.stringify(config, null, 2);
     const dataBlob = new Blob([dataStr], { type: 'application/json' });
@@ -264,46 +235,111 @@ function exportConfiguration() {
     showToast('Configuration exported successfully', 'success');
 }
 
-// Import configuration
+// Import configuration: read the file and show what it would change
 function importConfiguration(file) {
     const reader = new FileReader();
     reader.onload = function(e) {
+        let config;
         try {
-            const config = JSON.parse(e.target.result);
-
-            if (!config.rules) {
-                throw new Error('Invalid configuration file');
-            }
-
-            // Validate imported rules
-            const errors = validateRules(config.rules);
-            if (Object.keys(errors).length > 0) {
-                showToast('Invalid configuration values', 'error');
-                return;
-            }
-
-            scoringRules = { ...config.rules };
-            updateSettingsInputs();
-            saveSettings();
-            updateCheckboxLabels();
-            updateCustomRulesBadge();
-            showToast('Configuration imported successfully', 'success');
-
+            config = JSON.parse(e.target.result);
         } catch (error) {
-            showToast('Failed to import configuration', 'error');
+            showToast('Failed to import configuration: the file is not valid JSON', 'error');
             console.error('Import error:', error);
+            return;
         }
+        previewConfigImport(config, file.name);
     };
     reader.readAsText(file);
 }
 
+// Validated rules waiting for the user to confirm the import preview, and
+// the preset name they were shared under (see share.js)
+let pendingImportRules = null;
+let pendingImportPresetName = null;
+
+// Upgrade and check a parsed configuration (see config-schema.js), then
+// list its problems or its changes against the current rules. Nothing is
+// overwritten until the user confirms. With a preset name, confirming also
+// saves the rules as a preset.
+function previewConfigImport(config, source, presetName = null) {
+    const { rules, migratedFrom, errors } = validateConfig(config);
+    const summary = document.getElementById('import-preview-summary');
+    const details = document.getElementById('import-preview-details');
+    const confirmBtn = document.getElementById('confirm-import');
+    const notes = [`From ${escapeHtml(source)}`];
+
+    if (migratedFrom !== null) {
+        notes.push(`upgraded from format version ${migratedFrom} to ${CONFIG_VERSION}`);
+    }
+
+    pendingImportRules = rules;
+    pendingImportPresetName = presetName;
+    confirmBtn.textContent = presetName ? 'Save Preset & Use Rules' : 'Replace Current Rules';
+
+    if (!rules) {
+        summary.innerHTML = `${notes.join(' · ')}<div class="import-preview-status error">This configuration can't be imported:</div>`;
+        details.innerHTML = `
+            <ul class="import-errors">
+                ${errors.map(error => `<li><strong>${escapeHtml(error.label)}</strong>: ${escapeHtml(error.message)}</li>`).join('')}
+            </ul>`;
+        confirmBtn.disabled = true;
+    } else {
+        const changes = diffRules({ ...DEFAULT_RULES, ...scoringRules }, rules);
+        const unchanged = Object.keys(DEFAULT_RULES).length - changes.length;
+
+        summary.innerHTML = `${notes.join(' · ')}<div class="import-preview-status">${changes.length === 0
+            ? 'Identical to the current rules'
+            : `${changes.length} rule${changes.length === 1 ? '' : 's'} will change, ${unchanged} stay the same`}</div>`;
+        details.innerHTML = changes.length === 0 ? '' : `
+            <table class="event-table import-diff">
+                <thead>
+                    <tr><th>Rule</th><th>Current</th><th>Imported</th></tr>
+                </thead>
+                <tbody>
+                    ${changes.map(change => `
+                    <tr>
+                        <td>${escapeHtml(change.label)}</td>
+                        <td class="muted-cell diff-from">${escapeHtml(change.from)}</td>
+                        <td class="diff-to">${escapeHtml(change.to)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+        confirmBtn.disabled = changes.length === 0 && !presetName;
+    }
+
+    document.getElementById('import-preview-modal').classList.add('active');
+}
+
+// Switch the theme, its toggle icon and the saved preference
+function setDarkMode(enabled) {
+    const darkModeToggle = document.getElementById('dark-mode-toggle');
+    document.body.classList.toggle('dark-mode', enabled);
+    darkModeToggle.querySelector('.sun-icon').classList.toggle('hidden', enabled);
+    darkModeToggle.querySelector('.moon-icon').classList.toggle('hidden', !enabled);
+    localStorage.setItem('darkMode', enabled ? 'enabled' : 'disabled');
+}
+
+// Make a validated rule set the current one and redraw what depends on it
+function applyScoringRules(rules) {
+    scoringRules = { ...rules };
+    updateSettingsInputs();
+    displayValidationErrors({});
+    saveSettings();
+    updateCheckboxLabels();
+    renderRunInputs();
+    updateCustomRulesBadge();
+    setTotalTimeInput(scoringRules.totalTime);
+}
+
+// Replace the current rules with the confirmed import
+function applyImportedRules(rules) {
+    applyScoringRules(rules);
+    showToast('Configuration imported successfully', 'success');
+}
+
 // Copy configuration to clipboard
 function copyConfigToClipboard() {
-    const config = {
-        name: 'Custom LFR Scoring Configuration',
-        version: '1.0',
-        rules: scoringRules
-    };
+    const config = createConfigFile(scoringRules);
 
     const jsonStr = JSON.stringify(config, null, 2);
 
@@ -314,14 +350,173 @@ function copyConfigToClipboard() {
     });
 }
 
+// Build the numeric rule inputs in the settings modal from RULE_FIELDS
+function renderRuleFields() {
+    const fieldsHtml = RULE_FIELDS.map(field => {
+        const id = toKebabCase(field.key);
+        const quickValues = field.quickValues
+            ? `<div class="time-preset-buttons">${field.quickValues.map(value =>
+                `<button type="button" class="time-preset-btn" data-time="${value}">${value} min</button>`).join('')}</div>`
+            : '';
+
+        return `
+                <div class="settings-group${field.fullWidth ? ' full-width' : ''}">
+                    <label for="rule-${id}">${field.label}</label>
+                    ${quickValues}
+                    <input type="number" id="rule-${id}" value="${DEFAULT_RULES[field.key]}" step="${field.step}"${field.min === 0 ? ' min="0"' : ''}>
+                    <div class="settings-description">${field.description}</div>
+                    <div class="validation-error" id="error-${id}"></div>
+                </div>`;
+    }).join('');
+
+    document.getElementById('settings-grid').insertAdjacentHTML('afterbegin', fieldsHtml);
+}
+
 // Update settings modal inputs with current values
 function updateSettingsInputs() {
-    document.getElementById('rule-start-point').value = scoringRules.startPoint;
-    document.getElementById('rule-end-point').value = scoringRules.endPoint;
-    document.getElementById('rule-checkpoint').value = scoringRules.checkpoint;
-    document.getElementById('rule-restart').value = scoringRules.restart;
-    document.getElementById('rule-bonus').value = scoringRules.bonus;
-    document.getElementById('rule-time-multiplier').value = scoringRules.timeMultiplier;
+    RULE_FIELDS.forEach(field => {
+        document.getElementById(`rule-${toKebabCase(field.key)}`).value = scoringRules[field.key];
+    });
+    document.getElementById('rule-time-policy').value = scoringRules.timePolicy;
+    document.getElementById('rule-overtime-policy').value = scoringRules.overtimePolicy;
+    document.getElementById('rule-time-rounding').value = scoringRules.timeRounding;
+    document.getElementById('rule-time-precision').value = scoringRules.timePrecision;
+    document.getElementById('rule-ranking-policy').value = scoringRules.rankingPolicy;
+    document.getElementById('rule-ranking-count').value = scoringRules.rankingCount;
+    updateRankingCountVisibility();
+    renderTieBreakerList(scoringRules.tieBreakers || []);
+    renderCheckpointListEditor(getCheckpointList(scoringRules));
+    renderCustomComponentEditor(getCustomComponents(scoringRules));
+    document.getElementById('rule-formula').value = scoringRules.formula || '';
+}
+
+// Render the custom component rows in the settings modal
+function renderCustomComponentEditor(customComponents) {
+    const editor = document.getElementById('rule-custom-components');
+    editor.innerHTML = '';
+    customComponents.forEach(component => addCustomComponentEditorRow(component));
+}
+
+function addCustomComponentEditorRow(component = { key: '', name: '', type: 'count', points: 0 }) {
+    const row = document.createElement('div');
+    row.className = 'checkpoint-editor-row';
+    row.dataset.key = component.key;
+    row.innerHTML = `
+        <input type="text" class="component-name-input" placeholder="Component name" maxlength="40">
+        <select class="preset-select component-type-input">
+            ${Object.entries(CUSTOM_COMPONENT_TYPES).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+        </select>
+        <input type="number" class="component-points-input" step="1">
+        <button type="button" class="preset-btn danger" data-remove-component title="Remove component">&times;</button>
+    `;
+    row.querySelector('.component-name-input').value = component.name;
+    row.querySelector('.component-type-input').value = component.type;
+    row.querySelector('.component-points-input').value = component.points;
+    document.getElementById('rule-custom-components').appendChild(row);
+    return row;
+}
+
+// Derive a stable camelCase key from a component name, avoiding taken keys
+function toComponentKey(name, takenKeys) {
+    const words = name.toLowerCase().match(/[a-z0-9]+/g) || ['component'];
+    const base = words.map((word, index) => index === 0 ? word : word[0].toUpperCase() + word.slice(1)).join('');
+    const reserved = new Set([...Object.keys(DEFAULT_RULES), ...takenKeys]);
+    const stem = /^[a-z]/.test(base) ? base : `c${base}`;
+
+    let key = stem;
+    for (let suffix = 2; reserved.has(key) || getComponentKeyError(key); suffix++) {
+        key = `${stem}${suffix}`;
+    }
+    return key;
+}
+
+// Read the custom component rows, keeping existing keys so recorded runs still match
+function readCustomComponentInputs() {
+    const takenKeys = [];
+    return [...document.querySelectorAll('#rule-custom-components .checkpoint-editor-row')].map(row => {
+        const name = row.querySelector('.component-name-input').value.trim();
+        const key = row.dataset.key && !takenKeys.includes(row.dataset.key)
+            ? row.dataset.key
+            : toComponentKey(name, takenKeys);
+        takenKeys.push(key);
+
+        return {
+            key,
+            name,
+            type: row.querySelector('.component-type-input').value,
+            points: Number.parseFloat(row.querySelector('.component-points-input').value) || 0
+        };
+    });
+}
+
+// Render the named checkpoint rows in the settings modal
+function renderCheckpointListEditor(checkpointList) {
+    const editor = document.getElementById('rule-checkpoint-list');
+    editor.innerHTML = '';
+    checkpointList.forEach(checkpoint => addCheckpointEditorRow(checkpoint));
+}
+
+function addCheckpointEditorRow(checkpoint = { name: '', points: scoringRules.checkpoint }) {
+    const row = document.createElement('div');
+    row.className = 'checkpoint-editor-row';
+    row.innerHTML = `
+        <input type="text" class="checkpoint-name-input" placeholder="Checkpoint name" maxlength="40">
+        <input type="number" class="checkpoint-points-input" step="1">
+        <button type="button" class="preset-btn danger" data-remove-checkpoint title="Remove checkpoint">&times;</button>
+    `;
+    row.querySelector('.checkpoint-name-input').value = checkpoint.name;
+    row.querySelector('.checkpoint-points-input').value = checkpoint.points;
+    document.getElementById('rule-checkpoint-list').appendChild(row);
+    return row;
+}
+
+// Render the ordered tie-breaker list: enabled ones first, in rule order
+function renderTieBreakerList(order) {
+    const list = document.getElementById('rule-tie-breakers');
+    const enabled = order.filter(key => TIE_BREAKERS[key]);
+    const keys = [...enabled, ...Object.keys(TIE_BREAKERS).filter(key => !enabled.includes(key))];
+
+    list.innerHTML = keys.map(key => `
+        <div class="tie-breaker-item" data-key="${key}">
+            <input type="checkbox" id="tie-breaker-${key}" ${enabled.includes(key) ? 'checked' : ''}>
+            <label for="tie-breaker-${key}">${TIE_BREAKERS[key].label}</label>
+            <button type="button" class="tie-breaker-move" data-move="up" title="Move up">&uarr;</button>
+            <button type="button" class="tie-breaker-move" data-move="down" title="Move down">&darr;</button>
+        </div>`).join('');
+}
+
+// Read the rule values currently entered in the settings modal
+function readSettingsInputs() {
+    const fieldValues = Object.fromEntries(RULE_FIELDS.map(field => [
+        field.key,
+        Number.parseFloat(document.getElementById(`rule-${toKebabCase(field.key)}`).value) || field.fallback
+    ]));
+
+    return {
+        ...fieldValues,
+        timePolicy: document.getElementById('rule-time-policy').value || 'linear',
+        overtimePolicy: document.getElementById('rule-overtime-policy').value || 'none',
+        timeRounding: document.getElementById('rule-time-rounding').value || 'truncate',
+        timePrecision: Number.parseFloat(document.getElementById('rule-time-precision').value) || 0.01,
+        rankingPolicy: document.getElementById('rule-ranking-policy').value || 'best',
+        rankingCount: Number.parseFloat(document.getElementById('rule-ranking-count').value) || 1,
+        tieBreakers: [...document.querySelectorAll('#rule-tie-breakers .tie-breaker-item')]
+            .filter(item => item.querySelector('input').checked)
+            .map(item => item.dataset.key),
+        checkpointList: [...document.querySelectorAll('#rule-checkpoint-list .checkpoint-editor-row')]
+            .map(row => ({
+                name: row.querySelector('.checkpoint-name-input').value.trim(),
+                points: Number.parseFloat(row.querySelector('.checkpoint-points-input').value) || 0
+            })),
+        customComponents: readCustomComponentInputs(),
+        formula: document.getElementById('rule-formula').value.trim()
+    };
+}
+
+// "Attempts counted" only applies to the best-N policy
+function updateRankingCountVisibility() {
+    const isBestN = document.getElementById('rule-ranking-policy').value === 'bestN';
+    document.getElementById('rule-ranking-count').closest('.settings-group').classList.toggle('hidden', !isBestN);
 }
 
 // Update checkbox labels with current point values
@@ -332,6 +527,60 @@ function updateCheckboxLabels() {
         `Stopping at End Point (E) — ${scoringRules.endPoint >= 0 ? '+' : ''}${scoringRules.endPoint} points`;
 }
 
+// Show a checklist of named checkpoints, or the plain count input
+function renderCheckpointInputs() {
+    const checkpointList = getCheckpointList(scoringRules);
+    const checklist = document.getElementById('checkpoint-checklist');
+
+    document.getElementById('checkpoints-count-group').classList.toggle('hidden', checkpointList.length > 0);
+    document.getElementById('checkpoint-checklist-group').classList.toggle('hidden', checkpointList.length === 0);
+
+    checklist.innerHTML = checkpointList.map((checkpoint, index) => `
+        <label class="checkpoint-chip">
+            <input type="checkbox" data-checkpoint-index="${index}" ${runHistory.present.clearedCheckpoints[index] ? 'checked' : ''}>
+            <span class="checkpoint-chip-name">${escapeHtml(checkpoint.name)}</span>
+            <span class="checkpoint-chip-points">${checkpoint.points >= 0 ? '+' : ''}${checkpoint.points}</span>
+        </label>`).join('');
+}
+
+// Custom components that get a form input. Keys end up in element ids,
+// so rules saved before keys were checked (see getComponentKeyError) only
+// show the components with a valid identifier.
+function getCustomInputComponents(rules) {
+    return getCustomComponents(rules).filter(component => !getComponentKeyError(component.key));
+}
+
+// Build the main form inputs for custom components:
+// yes/no components as checkboxes, counted ones as number inputs
+function renderCustomComponentInputs() {
+    const customComponents = getCustomInputComponents(scoringRules);
+    const signed = points => `${points >= 0 ? '+' : ''}${points}`;
+
+    document.getElementById('custom-flag-inputs').innerHTML = customComponents
+        .filter(component => component.type === 'boolean')
+        .map(component => `
+        <div class="checkbox-group">
+            <input type="checkbox" id="custom-${escapeHtml(component.key)}" data-custom-key="${escapeHtml(component.key)}">
+            <label for="custom-${escapeHtml(component.key)}">${escapeHtml(component.name)} — ${signed(component.points)} points</label>
+        </div>`).join('');
+
+    document.getElementById('custom-count-inputs').innerHTML = customComponents
+        .filter(component => component.type === 'count')
+        .map(component => `
+            <div class="input-group">
+                <label for="custom-${escapeHtml(component.key)}">${escapeHtml(component.name)} (${signed(component.points)} each)</label>
+                <input type="number" id="custom-${escapeHtml(component.key)}" data-custom-key="${escapeHtml(component.key)}" value="0" min="0" placeholder="0">
+            </div>`).join('');
+}
+
+// Refresh the main form inputs that depend on the active rules
+function renderRunInputs() {
+    renderCheckpointInputs();
+    renderCustomComponentInputs();
+    // The arena panels have the same inputs (see arenas.js)
+    renderArenaBoard();
+}
+
 // Check if using custom rules and update badge
 function updateCustomRulesBadge() {
     const isCustom = JSON.stringify(scoringRules) !== JSON.stringify(DEFAULT_RULES);
@@ -341,11 +590,151 @@ function updateCustomRulesBadge() {
     } else {
         badge.classList.remove('active');
     }
+
+    // The rules fingerprint in the header follows the rules too (see judge-lock.js)
+    renderJudgeLock();
+}
+
+// Read the run inputs from the main form
+function readRunInput() {
+    const elapsedMinutes = Number.parseInt(document.getElementById('elapsed-time-min').value) || 0;
+    // Seconds may be fractional; the engine rounds them per the rules
+    const elapsedSeconds = Number.parseFloat(document.getElementById('elapsed-time-sec').value) || 0;
+
+    const run = runHistory.present;
+
+    return {
+        leftStart: run.leftStart,
+        reachedEnd: run.reachedEnd,
+        checkpoints: run.checkpoints,
+        clearedCheckpoints: run.clearedCheckpoints,
+        restarts: run.restarts,
+        custom: Object.fromEntries([...document.querySelectorAll('[data-custom-key]')].map(input => [
+            input.dataset.customKey,
+            input.type === 'checkbox' ? input.checked : input.value
+        ])),
+        // Use manual input if provided, otherwise the engine falls back to settings
+        totalTime: document.getElementById('total-time').value,
+        elapsedSeconds: (elapsedMinutes * 60) + elapsedSeconds,
+        splits: run.splits
+    };
+}
+
+// Show the run state's marks in the main form
+function renderRunForm() {
+    const run = runHistory.present;
+
+    document.getElementById('start-point').checked = run.leftStart;
+    document.getElementById('end-point').checked = run.reachedEnd;
+    document.getElementById('checkpoints').value = run.checkpoints;
+    document.getElementById('restarts').value = run.restarts;
+    document.querySelectorAll('#checkpoint-checklist input').forEach((checkbox, index) => {
+        checkbox.checked = Boolean(run.clearedCheckpoints[index]);
+    });
+}
+
+// Seconds without trailing zeros, e.g. 300, 125.5, 12.34
+function formatSeconds(seconds) {
+    return String(Number(Number(seconds).toFixed(3)));
+}
+
+// Lower-case name of a time policy, or its id when this page doesn't know it
+function getTimePolicyNote(policy) {
+    return Object.prototype.hasOwnProperty.call(TIME_POLICIES, policy)
+        ? TIME_POLICIES[policy].toLowerCase()
+        : String(policy);
+}
+
+// Format a component's signed score and its calculation detail.
+// Results can arrive from another device, so every field is escaped.
+function formatComponentValue(component) {
+    const sign = component.points > 0 ? '+' : '';
+    const points = escapeHtml(component.points);
+    const product = `<span style="opacity: 0.6">(${escapeHtml(component.count)} × ${escapeHtml(component.value)})</span>`;
+
+    if (component.custom) {
+        return component.type === 'count' ? `${sign}${points} ${product}` : `${sign}${points}`;
+    }
+
+    switch (component.code) {
+        case 'C':
+            if (Array.isArray(component.items)) {
+                return `${sign}${points} <span style="opacity: 0.6">(${escapeHtml(component.count)} of ${component.items.length})</span>`;
+            }
+            return `${sign}${points} ${product}`;
+        case 'R':
+            return `${sign}${points} ${product}`;
+        case 'F':
+            return `${sign}${Number(component.points).toFixed(1)} <span style="opacity: 0.6">(${Number(component.standardScore).toFixed(1)} → ${Number(component.formulaScore).toFixed(1)})</span>`;
+        case 'T': {
+            // Explain adjustments, or at least which non-default policy was in effect
+            const policyNote = component.note ||
+                (component.policy && component.policy !== 'linear' ? getTimePolicyNote(component.policy) : '');
+            const note = policyNote ? ` — ${escapeHtml(policyNote)}` : '';
+            return `${sign}${Number(component.points).toFixed(1)}s <span style="opacity: 0.6">(${formatSeconds(component.totalTimeInSeconds)}s - ${formatSeconds(component.elapsedTotalSeconds)}s) × ${escapeHtml(component.value)}${note}</span>`;
+        }
+        default:
+            return `${sign}${points}`;
+    }
+}
+
+// One indented row per named checkpoint
+function renderCheckpointItems(items) {
+    return items.map(item => `
+            <div class="breakdown-row breakdown-subrow ${item.cleared ? '' : 'missed'}">
+                <span class="breakdown-label">${item.cleared ? '&check;' : '&times;'} ${escapeHtml(item.name)}</span>
+                <span class="breakdown-value">${item.points > 0 ? '+' : ''}${escapeHtml(item.points)}</span>
+            </div>`).join('');
+}
+
+// Elapsed seconds as mm:ss.cc, truncated like the stopwatch display
+function formatSplitTime(seconds) {
+    const centiseconds = Math.floor(seconds * 100 + 1e-6);
+    const minutes = Math.floor(centiseconds / 6000);
+    const rest = ((centiseconds % 6000) / 100).toFixed(2).padStart(5, '0');
+    return `${String(minutes).padStart(2, '0')}:${rest}`;
+}
+
+// Per-segment timeline from the stopwatch taps: how long each leg took and when it ended
+function renderSplitTimeline(result) {
+    if (!Array.isArray(result.input?.splits)) {
+        return '';
+    }
+    const segments = buildSplitTimeline(result.input, result.rules);
+    if (segments.length === 0) {
+        return '';
+    }
+
+    return `
+            <div class="breakdown-heading">Timeline</div>${segments.map(segment => `
+            <div class="breakdown-row breakdown-subrow timeline-row timeline-${escapeHtml(segment.type)}">
+                <span class="breakdown-label">${escapeHtml(segment.label)} <span style="opacity: 0.6">@ ${formatSplitTime(segment.end)}</span></span>
+                <span class="breakdown-value">+${Number(segment.duration).toFixed(2)}s</span>
+            </div>`).join('')}`;
+}
+
+// Build the breakdown rows for a computeScore() result
+function renderScoreBreakdown(result) {
+    return result.components.map(component => `
+            <div class="breakdown-row">
+                <span class="breakdown-label">${escapeHtml(component.custom ? component.label : `${component.label} (${component.code})`)}:</span>
+                <span class="breakdown-value" style="color: ${component.points < 0 ? '#ef4444' : '#10b981'}">${formatComponentValue(component)}</span>
+            </div>${Array.isArray(component.items) ? renderCheckpointItems(component.items) : ''}`).join('');
+}
+
+// Show the final score and breakdown in the result panel
+function renderScoreResult(result) {
+    document.getElementById('total-score').textContent = result.disqualified
+        ? 'Disqualified (over time)'
+        : `Total Score: ${Number(result.finalScore).toFixed(0)}`;
+    document.getElementById('score-breakdown').innerHTML = renderScoreBreakdown(result) + renderSplitTimeline(result);
 }
 
 // ===== INITIALIZATION =====
 document.addEventListener('DOMContentLoaded', function() {
     // ===== SETTINGS MODAL FUNCTIONALITY =====
+    renderRuleFields();
+
     const settingsModal = document.getElementById('settings-modal');
     const settingsIcon = document.getElementById('settings-icon');
     const closeModalBtn = document.getElementById('close-modal');
@@ -366,9 +755,14 @@ document.addEventListener('DOMContentLoaded', function() {
     const importConfigBtn = document.getElementById('import-config-btn');
     const copyConfigBtn = document.getElementById('copy-config-btn');
     const importFileInput = document.getElementById('import-file-input');
+    const importPreviewModal = document.getElementById('import-preview-modal');
 
-    // Open modal
+    // Open modal, or ask for the PIN while the rules are locked
     settingsIcon.addEventListener('click', function() {
+        if (isJudgeLocked()) {
+            openUnlockModal();
+            return;
+        }
         updateSettingsInputs();
         updatePresetDropdown();
         settingsModal.classList.add('active');
@@ -386,12 +780,12 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
 
-    // Close modal with ESC key
+    // Close modals with ESC key
     document.addEventListener('keydown', function(e) {
         if (e.key === 'Escape') {
-            if (settingsModal.classList.contains('active')) {
-                settingsModal.classList.remove('active');
-            }
+            document.querySelectorAll('.modal-overlay.active').forEach(modal => {
+                modal.classList.remove('active');
+            });
             if (savePresetModal.classList.contains('active')) {
                 savePresetModal.classList.remove('active');
             }
@@ -427,15 +821,8 @@ document.addEventListener('DOMContentLoaded', function() {
         }
 
         // Get current values from inputs
-        const newPreset = {
-            startPoint: Number.parseFloat(document.getElementById('rule-start-point').value) || 0,
-            endPoint: Number.parseFloat(document.getElementById('rule-end-point').value) || 0,
-            checkpoint: Number.parseFloat(document.getElementById('rule-checkpoint').value) || 0,
-            restart: Number.parseFloat(document.getElementById('rule-restart').value) || 0,
-            bonus: Number.parseFloat(document.getElementById('rule-bonus').value) || 0,
-            timeMultiplier: Number.parseFloat(document.getElementById('rule-time-multiplier').value) || 1,
-            totalTime: Number.parseFloat(document.getElementById('rule-total-time').value) || 5
-        };
+        const newPreset = readSettingsInputs();
+        newPreset.totalTime = newPreset.totalTime || 5;
 
         // Validate before saving
         const errors = validateRules(newPreset);
@@ -448,7 +835,7 @@ document.addEventListener('DOMContentLoaded', function() {
         saveUserPresets();
         updatePresetDropdown();
         savePresetModal.classList.remove('active');
-        showToast(`Preset "${name}" saved successfully`, 'success');
+        showToast(`Preset "${escapeHtml(name)}" saved successfully`, 'success');
     });
 
     // Cancel save preset
@@ -464,9 +851,9 @@ document.addEventListener('DOMContentLoaded', function() {
             return;
         }
 
-        const [type, name] = value.split(':');
+        const name = getPresetName(value);
 
-        if (type === 'builtin') {
+        if (value.startsWith('builtin:')) {
             showToast('Cannot delete built-in presets', 'error');
             return;
         }
@@ -476,7 +863,7 @@ document.addEventListener('DOMContentLoaded', function() {
             saveUserPresets();
             updatePresetDropdown();
             presetSelect.value = '';
-            showToast(`Preset "${name}" deleted`, 'success');
+            showToast(`Preset "${escapeHtml(name)}" deleted`, 'success');
         }
     });
 
@@ -503,15 +890,36 @@ document.addEventListener('DOMContentLoaded', function() {
         copyConfigToClipboard();
     });
 
+    // Import preview
+    function closeImportPreview() {
+        pendingImportRules = null;
+        pendingImportPresetName = null;
+        importPreviewModal.classList.remove('active');
+    }
+
+    document.getElementById('confirm-import').addEventListener('click', function() {
+        if (pendingImportRules && pendingImportPresetName) {
+            const name = saveSharedPreset(pendingImportPresetName, pendingImportRules);
+            applyScoringRules(pendingImportRules);
+            showToast(`Loaded shared preset: ${escapeHtml(name)}`, 'success');
+        } else if (pendingImportRules) {
+            applyImportedRules(pendingImportRules);
+        }
+        closeImportPreview();
+    });
+
+    document.getElementById('cancel-import').addEventListener('click', closeImportPreview);
+    document.getElementById('close-import-preview').addEventListener('click', closeImportPreview);
+
+    importPreviewModal.addEventListener('click', function(e) {
+        if (e.target === importPreviewModal) {
+            closeImportPreview();
+        }
+    });
+
     // Save settings
     saveSettingsBtn.addEventListener('click', function() {
-        scoringRules.startPoint = Number.parseFloat(document.getElementById('rule-start-point').value) || 0;
-        scoringRules.endPoint = Number.parseFloat(document.getElementById('rule-end-point').value) || 0;
-        scoringRules.checkpoint = Number.parseFloat(document.getElementById('rule-checkpoint').value) || 0;
-        scoringRules.restart = Number.parseFloat(document.getElementById('rule-restart').value) || 0;
-        scoringRules.bonus = Number.parseFloat(document.getElementById('rule-bonus').value) || 0;
-        scoringRules.timeMultiplier = Number.parseFloat(document.getElementById('rule-time-multiplier').value) || 1;
-        scoringRules.totalTime = Number.parseFloat(document.getElementById('rule-total-time').value) || 0;
+        scoringRules = { ...scoringRules, ...readSettingsInputs() };
 
         // Validate before saving
         const errors = validateRules(scoringRules);
@@ -524,9 +932,10 @@ document.addEventListener('DOMContentLoaded', function() {
         displayValidationErrors({});
         saveSettings();
         updateCheckboxLabels();
+        renderRunInputs();
         updateCustomRulesBadge();
         // Update main interface total time input with settings value
-        document.getElementById('total-time').value = scoringRules.totalTime;
+        setTotalTimeInput(scoringRules.totalTime);
         settingsModal.classList.remove('active');
         showToast('Settings saved successfully', 'success');
     });
@@ -538,6 +947,7 @@ document.addEventListener('DOMContentLoaded', function() {
             updateSettingsInputs();
             saveSettings();
             updateCheckboxLabels();
+            renderRunInputs();
             updateCustomRulesBadge();
             displayValidationErrors({});
             showToast('Reset to default settings', 'success');
@@ -547,19 +957,35 @@ document.addEventListener('DOMContentLoaded', function() {
     // Load settings on page load
     loadSettings();
     updateCheckboxLabels();
+    renderRunInputs();
     updateCustomRulesBadge();
 
-    // ===== STOPWATCH FUNCTIONALITY =====
-    let stopwatchInterval = null;
+    // Opened from a share link: offer its rules (see share.js)
+    openSharedRulesLink();
+
+    // ===== STOPWATCH & RUN ACTIONS =====
+    // Every judge action goes through the run state (run-state.js); the
+    // stopwatch and form are redrawn from it. Time is read from runClock(),
+    // which is monotonic, so system clock changes can't corrupt a run, and
+    // the display is redrawn once per animation frame from the run's anchor,
+    // so there is no drift to accumulate.
+    let stopwatchFrame = null;
     let stopwatchTime = 0;
-    let isRunning = false;
+    let overtimeNotified = false;
 
     const stopwatchDisplay = document.getElementById('stopwatch-display');
+    const stopwatchStatus = document.getElementById('stopwatch-status');
     const playPauseBtn = document.getElementById('play-pause-btn');
     const resetBtn = document.getElementById('reset-btn');
     const playIcon = playPauseBtn.querySelector('.play-icon');
     const pauseIcon = playPauseBtn.querySelector('.pause-icon');
     const btnText = playPauseBtn.querySelector('.btn-text');
+    const splitCheckpointBtn = document.getElementById('split-checkpoint-btn');
+    const splitRestartBtn = document.getElementById('split-restart-btn');
+    const splitList = document.getElementById('split-list');
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const lastActionLabel = document.getElementById('last-run-action');
 
     function formatTime(milliseconds) {
         const totalSeconds = Math.floor(milliseconds / 1000);
@@ -574,44 +1000,189 @@ document.addEventListener('DOMContentLoaded', function() {
         stopwatchDisplay.textContent = formatTime(stopwatchTime);
     }
 
-    function startStopwatch() {
-        isRunning = true;
-        playPauseBtn.classList.add('paused');
-        playIcon.classList.add('hidden');
-        pauseIcon.classList.remove('hidden');
-        btnText.textContent = 'Pause';
+    // Auto-update elapsed time fields at the stopwatch's millisecond precision
+    function updateElapsedFields() {
+        const minutes = Math.floor(stopwatchTime / 60000);
+        const seconds = (stopwatchTime % 60000) / 1000;
+
+        document.getElementById('elapsed-time-min').value = minutes;
+        document.getElementById('elapsed-time-sec').value = Number(seconds.toFixed(3));
+    }
+
+    // Allotted run time in milliseconds: the main form value, else the rules
+    function getTimeLimitMs() {
+        const minutes = Number.parseFloat(document.getElementById('total-time').value) || scoringRules.totalTime || 0;
+        return minutes * 60 * 1000;
+    }
+
+    function setTimeLimitState(state, message) {
+        stopwatchDisplay.classList.toggle('warning', state === 'warning');
+        stopwatchDisplay.classList.toggle('overtime', state === 'overtime');
+        stopwatchStatus.textContent = message;
+        stopwatchStatus.className = `stopwatch-status ${state}`;
+    }
 
-        const startTime = Date.now() - stopwatchTime;
+    // Warn as the limit approaches and apply the overtime policy once it's reached
+    function checkTimeLimit() {
+        const limit = getTimeLimitMs();
+        if (limit <= 0) {
+            setTimeLimitState('', '');
+            return;
+        }
+
+        const remaining = limit - stopwatchTime;
+        const warningMs = (scoringRules.timeWarning || 0) * 1000;
+
+        if (remaining <= 0 && scoringRules.overtimePolicy === 'autoStop') {
+            if (runHistory.present.running) {
+                dispatchRun({ type: 'autoStop', limitMs: limit });
+                showToast('Time limit reached — stopwatch stopped', 'error');
+            }
+            setTimeLimitState('overtime', 'Time limit reached — stopwatch stopped');
+        } else if (remaining < 0) {
+            const disqualify = scoringRules.overtimePolicy === 'disqualify';
+            setTimeLimitState('overtime', `Over time by ${formatTime(-remaining)}${disqualify ? ' — run will be disqualified' : ''}`);
+            if (!overtimeNotified) {
+                overtimeNotified = true;
+                showToast(disqualify ? 'Over time — this run will be disqualified' : 'Over time', 'error');
+            }
+        } else {
+            overtimeNotified = false;
+            if (warningMs > 0 && remaining <= warningMs) {
+                setTimeLimitState('warning', `${formatTime(remaining)} remaining`);
+            } else {
+                setTimeLimitState('', '');
+            }
+        }
+    }
 
-        stopwatchInterval = setInterval(function() {
-            stopwatchTime = Date.now() - startTime;
+    // Move the stopwatch to the run state's time; elapsed fields only follow
+    // when the time actually changes, so manual edits survive other actions
+    function syncStopwatchTime() {
+        const elapsed = getRunElapsedMs(runHistory.present, runClock());
+        if (elapsed !== stopwatchTime) {
+            stopwatchTime = elapsed;
             updateStopwatchDisplay();
+            updateElapsedFields();
+        }
+        checkTimeLimit();
+    }
 
-            // Auto-update elapsed time fields
-            const totalSeconds = Math.floor(stopwatchTime / 1000);
-            const minutes = Math.floor(totalSeconds / 60);
-            const seconds = totalSeconds % 60;
+    function tickStopwatch() {
+        stopwatchFrame = null;
+        syncStopwatchTime();
 
-            document.getElementById('elapsed-time-min').value = minutes;
-            document.getElementById('elapsed-time-sec').value = seconds;
-        }, 10);
+        if (runHistory.present.running) {
+            stopwatchFrame = requestAnimationFrame(tickStopwatch);
+        }
     }
 
-    function pauseStopwatch() {
-        isRunning = false;
-        clearInterval(stopwatchInterval);
-        playPauseBtn.classList.remove('paused');
-        playIcon.classList.remove('hidden');
-        pauseIcon.classList.add('hidden');
-        btnText.textContent = stopwatchTime > 0 ? 'Resume' : 'Start';
+    function renderSplitList() {
+        splitList.innerHTML = runHistory.present.splits.map(split => `
+            <span class="split-tag ${split.type}">${SPLIT_TYPES[split.type]} ${formatSplitTime(split.elapsedSeconds)}</span>`).join('');
     }
 
-    playPauseBtn.addEventListener('click', function() {
-        if (isRunning) {
-            pauseStopwatch();
-        } else {
-            startStopwatch();
+    // Redraw everything that shows the run state
+    function renderRunState() {
+        const run = runHistory.present;
+        const { undo, redo } = peekRunHistory(runHistory);
+
+        renderRunForm();
+        renderSplitList();
+
+        playPauseBtn.classList.toggle('paused', run.running);
+        playIcon.classList.toggle('hidden', run.running);
+        pauseIcon.classList.toggle('hidden', !run.running);
+        btnText.textContent = run.running ? 'Pause' : (run.elapsedMs > 0 ? 'Resume' : 'Start');
+
+        // Taps can only be marked while the clock is running
+        splitCheckpointBtn.disabled = !run.running;
+        splitRestartBtn.disabled = !run.running;
+
+        undoBtn.disabled = !undo;
+        redoBtn.disabled = !redo;
+        undoBtn.title = undo ? `Undo: ${undo}` : 'Nothing to undo';
+        redoBtn.title = redo ? `Redo: ${redo}` : 'Nothing to redo';
+        lastActionLabel.textContent = undo ? `Last: ${undo}` : '';
+
+        if (run.running && stopwatchFrame === null) {
+            stopwatchFrame = requestAnimationFrame(tickStopwatch);
+        }
+        syncStopwatchTime();
+    }
+
+    // Persist the run so a reload or a killed tab can pick it up again
+    function saveRunState() {
+        localStorage.setItem('lfrRunState', JSON.stringify(runHistory));
+    }
+
+    // Mirror the run, the selected team and the time allotted on the form
+    // on other pages (see sync.js)
+    function publishRunState() {
+        publishSync('runState', {
+            history: runHistory,
+            teamId: document.getElementById('team-select').value,
+            timeLimitMs: getTimeLimitMs()
+        });
+    }
+
+    // Apply a local change to the run at the next revision (see sync.js),
+    // then save, mirror and redraw it
+    function commitRunState(change) {
+        runHistory = { ...change(runHistory), rev: getRevision(runHistory) + 1 };
+        saveRunState();
+        publishRunState();
+        renderRunState();
+    }
+
+    function dispatchRun(action) {
+        commitRunState(history => dispatchRunAction(history, { ...action, at: runClock() }));
+    }
+
+    function undoRun() {
+        commitRunState(history => undoRunAction(history, runClock()));
+    }
+
+    function redoRun() {
+        commitRunState(history => redoRunAction(history, runClock()));
+    }
+
+    // Resume the run saved by the previous page load, if any
+    function restoreRunState() {
+        const saved = localStorage.getItem('lfrRunState');
+        if (saved) {
+            try {
+                const parsed = JSON.parse(saved);
+                runHistory = { ...createRunHistory(), ...parsed, present: { ...createRunState(), ...parsed.present } };
+            } catch (e) {
+                console.error('Error loading run state:', e);
+            }
         }
+
+        renderRunState();
+        if (runHistory.present.running) {
+            showToast('Stopwatch resumed after reload', 'success');
+        }
+    }
+
+    playPauseBtn.addEventListener('click', function() {
+        dispatchRun({ type: runHistory.present.running ? 'pause' : 'start' });
+    });
+
+    splitCheckpointBtn.addEventListener('click', () => dispatchRun({ type: 'checkpoint', named: getCheckpointList(scoringRules).length }));
+    splitRestartBtn.addEventListener('click', () => dispatchRun({ type: 'restart' }));
+    undoBtn.addEventListener('click', undoRun);
+    redoBtn.addEventListener('click', redoRun);
+
+    // Manual edits in the form are run actions too
+    document.getElementById('start-point').addEventListener('change', () => dispatchRun({ type: 'toggleStartPoint' }));
+    document.getElementById('end-point').addEventListener('change', () => dispatchRun({ type: 'toggleEndPoint' }));
+    document.getElementById('checkpoints').addEventListener('change', e => dispatchRun({ type: 'setCheckpoints', value: e.target.value }));
+    document.getElementById('restarts').addEventListener('change', e => dispatchRun({ type: 'setRestarts', value: e.target.value }));
+    document.getElementById('checkpoint-checklist').addEventListener('change', function(e) {
+        const index = Number(e.target.dataset.checkpointIndex);
+        const checkpoint = getCheckpointList(scoringRules)[index];
+        dispatchRun({ type: 'toggleCheckpoint', index, name: checkpoint ? checkpoint.name : '' });
     });
 
     // Reset button with confirm/cancel toggle
@@ -636,20 +1207,8 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     function performReset() {
-        // Perform reset
-        isRunning = false;
-        clearInterval(stopwatchInterval);
-        stopwatchTime = 0;
-        updateStopwatchDisplay();
-
-        playPauseBtn.classList.remove('paused');
-        playIcon.classList.remove('hidden');
-        pauseIcon.classList.add('hidden');
-        btnText.textContent = 'Start';
-
-        // Reset elapsed time fields
-        document.getElementById('elapsed-time-min').value = 0;
-        document.getElementById('elapsed-time-sec').value = 0;
+        dispatchRun({ type: 'reset' });
+        overtimeNotified = false;
 
         hideResetConfirmation();
         showToast('Stopwatch reset', 'success');
@@ -682,120 +1241,135 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
 
-    // ===== TIME PRESET BUTTONS =====
-    document.querySelectorAll('.time-preset-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const time = btn.dataset.time;
-            document.getElementById('rule-total-time').value = time;
-        });
-    });
-
-    // ===== SCORING CALCULATION =====
-    document.getElementById('calculate-btn').addEventListener('click', function() {
-
-        // --- 1. Get Values from Inputs ---
+    restoreRunState();
 
-        // Get boolean (true/false) from checkboxes
-        const leftStart = document.getElementById('start-point').checked;
-        const reachedEnd = document.getElementById('end-point').checked;
+    // Another tab or device changed the run: adopt it unless ours is newer
+    // (see isNewerRecord() in sync.js), in which case the sender gets ours
+    subscribeSync('runState', function(payload) {
+        const oursIsNewer = isNewerRecord(runHistory, payload.history);
+        if (isNewerRecord(payload.history, runHistory)) {
+            runHistory = payload.history;
+            saveRunState();
+            renderRunState();
+        }
 
-        // Get numbers from count fields
-        const checkpoints = Number.parseInt(document.getElementById('checkpoints').value) || 0;
-        const restarts = Number.parseInt(document.getElementById('restarts').value) || 0;
+        const teamSelect = document.getElementById('team-select');
+        if (payload.teamId !== teamSelect.value && (!payload.teamId || findTeam(payload.teamId))) {
+            teamSelect.value = payload.teamId;
+            updateCalculateButtonLabel();
+        }
 
-        // --- MODIFIED TIME LOGIC ---
-        // Get time values - use manual input if provided, otherwise fall back to settings
-        const totalTimeMinutes = Number.parseFloat(document.getElementById('total-time').value) || scoringRules.totalTime || 0;
-        const elapsedMinutes = Number.parseInt(document.getElementById('elapsed-time-min').value) || 0;
-        const elapsedSeconds = Number.parseInt(document.getElementById('elapsed-time-sec').value) || 0;
+        if (oursIsNewer) {
+            publishRunState();
+        }
+    });
 
-        // Convert all time to a common unit (seconds) for calculation
-        const totalTimeInSeconds = totalTimeMinutes * 60;
-        const elapsedTotalSeconds = (elapsedMinutes * 60) + elapsedSeconds;
-        // --- END OF MODIFIED TIME LOGIC ---
+    subscribeSync('hello', publishRunState);
+    document.getElementById('team-select').addEventListener('change', publishRunState);
+    document.getElementById('total-time').addEventListener('change', publishRunState);
+
+    // Keyboard / clicker commands (see shortcuts.js). Checkpoints and restarts
+    // are timestamped while the stopwatch runs and simply counted otherwise.
+    registerCommand('toggleStopwatch', () => playPauseBtn.click());
+    registerCommand('addCheckpoint', () => dispatchRun({ type: 'checkpoint', named: getCheckpointList(scoringRules).length }));
+    registerCommand('addRestart', () => dispatchRun({ type: 'restart' }));
+    registerCommand('toggleStartPoint', () => dispatchRun({ type: 'toggleStartPoint' }));
+    registerCommand('toggleEndPoint', () => dispatchRun({ type: 'toggleEndPoint' }));
+    registerCommand('resetStopwatch', () => (isConfirming ? performReset() : showResetConfirmation()));
+    registerCommand('undo', undoRun);
+    registerCommand('redo', redoRun);
+
+    // Show "attempts counted" only for the best-N ranking policy
+    document.getElementById('rule-ranking-policy').addEventListener('change', updateRankingCountVisibility);
+
+    // Reorder tie-breakers
+    document.getElementById('rule-tie-breakers').addEventListener('click', function(e) {
+        const moveBtn = e.target.closest('.tie-breaker-move');
+        if (!moveBtn) {
+            return;
+        }
 
+        const item = moveBtn.closest('.tie-breaker-item');
+        if (moveBtn.dataset.move === 'up' && item.previousElementSibling) {
+            item.parentNode.insertBefore(item, item.previousElementSibling);
+        } else if (moveBtn.dataset.move === 'down' && item.nextElementSibling) {
+            item.parentNode.insertBefore(item.nextElementSibling, item);
+        }
+    });
 
-        // --- 2. Calculate Each Score Component (Using Custom Rules) ---
+    // Add / remove named checkpoints
+    document.getElementById('add-checkpoint-btn').addEventListener('click', function() {
+        addCheckpointEditorRow().querySelector('.checkpoint-name-input').focus();
+    });
 
-        // S: Start point score
-        const scoreS = leftStart ? scoringRules.startPoint : 0;
+    document.getElementById('rule-checkpoint-list').addEventListener('click', function(e) {
+        const removeBtn = e.target.closest('[data-remove-checkpoint]');
+        if (removeBtn) {
+            removeBtn.closest('.checkpoint-editor-row').remove();
+        }
+    });
 
-        // E: End point score
-        const scoreE = reachedEnd ? scoringRules.endPoint : 0;
+    // Add / remove custom components
+    document.getElementById('add-custom-component-btn').addEventListener('click', function() {
+        addCustomComponentEditorRow().querySelector('.component-name-input').focus();
+    });
 
-        // C: Checkpoint score per checkpoint
-        const scoreC = checkpoints * scoringRules.checkpoint;
+    document.getElementById('rule-custom-components').addEventListener('click', function(e) {
+        const removeBtn = e.target.closest('[data-remove-component]');
+        if (removeBtn) {
+            removeBtn.closest('.checkpoint-editor-row').remove();
+        }
+    });
 
-        // R: Restart penalty per restart
-        const scoreR = restarts * scoringRules.restart;
+    // Check the formula as soon as it is edited
+    document.getElementById('rule-formula').addEventListener('change', function() {
+        displayValidationErrors(validateRules(readSettingsInputs()));
+    });
 
-        // B: Perfect bonus if restarts is 0 AND the end was reached
-        const scoreB = (restarts === 0 && reachedEnd) ? scoringRules.bonus : 0;
+    // ===== TIME PRESET BUTTONS =====
+    document.querySelectorAll('.time-preset-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const time = btn.dataset.time;
+            document.getElementById('rule-total-time').value = time;
+        });
+    });
 
-        // T: (Total Time - Elapsed Time) * time multiplier
-        const scoreT = (totalTimeInSeconds - elapsedTotalSeconds) * scoringRules.timeMultiplier;
+    // ===== SCORING CALCULATION =====
+    document.getElementById('calculate-btn').addEventListener('click', function() {
+        let result;
+        try {
+            result = computeScore(readRunInput(), scoringRules);
+        } catch (error) {
+            showToast(`Formula error: ${escapeHtml(error.message)}`, 'error');
+            return;
+        }
 
-        // --- 3. Calculate Total Score ---
-        const finalScore = scoreS + scoreE + scoreC + scoreR + scoreB + scoreT;
+        renderScoreResult(result);
+        publishSync('result', { result, teamId: document.getElementById('team-select').value });
 
-        // --- 4. Display the Result ---
+        // The recorded run keeps this run's audit trail; the next one starts afresh
+        if (recordRunForSelectedTeam(result, runHistory.audit)) {
+            commitRunState(startRunAudit);
+        }
+    });
 
-        // Show the final score
-        document.getElementById('total-score').textContent = `Total Score: ${finalScore.toFixed(0)}`;
+    // Show results calculated on another tab or device
+    subscribeSync('result', payload => renderScoreResult(payload.result));
 
-        // Show a detailed breakdown in a better format
-        const breakdown = `
-            <div class="breakdown-row">
-                <span class="breakdown-label">Start Point (S):</span>
-                <span class="breakdown-value" style="color: ${scoreS < 0 ? '#ef4444' : '#10b981'}">${scoreS > 0 ? '+' : ''}${scoreS}</span>
-            </div>
-            <div class="breakdown-row">
-                <span class="breakdown-label">End Point (E):</span>
-                <span class="breakdown-value" style="color: ${scoreE < 0 ? '#ef4444' : '#10b981'}">${scoreE > 0 ? '+' : ''}${scoreE}</span>
-            </div>
-            <div class="breakdown-row">
-                <span class="breakdown-label">Checkpoints (C):</span>
-                <span class="breakdown-value" style="color: ${scoreC < 0 ? '#ef4444' : '#10b981'}">${scoreC > 0 ? '+' : ''}${scoreC} <span style="opacity: 0.6">(${checkpoints} × ${scoringRules.checkpoint})</span></span>
-            </div>
-            <div class="breakdown-row">
-                <span class="breakdown-label">Restarts (R):</span>
-                <span class="breakdown-value" style="color: ${scoreR < 0 ? '#ef4444' : '#10b981'}">${scoreR > 0 ? '+' : ''}${scoreR} <span style="opacity: 0.6">(${restarts} × ${scoringRules.restart})</span></span>
-            </div>
-            <div class="breakdown-row">
-                <span class="breakdown-label">Perfect Bonus (B):</span>
-                <span class="breakdown-value" style="color: ${scoreB < 0 ? '#ef4444' : '#10b981'}">${scoreB > 0 ? '+' : ''}${scoreB}</span>
-            </div>
-            <div class="breakdown-row">
-                <span class="breakdown-label">Time Bonus (T):</span>
-                <span class="breakdown-value" style="color: ${scoreT < 0 ? '#ef4444' : '#10b981'}">${scoreT > 0 ? '+' : ''}${scoreT.toFixed(1)}s <span style="opacity: 0.6">(${totalTimeInSeconds.toFixed(0)}s - ${elapsedTotalSeconds.toFixed(0)}s) × ${scoringRules.timeMultiplier}</span></span>
-            </div>
-        `;
-        document.getElementById('score-breakdown').innerHTML = breakdown;
-    });
+    registerCommand('calculate', () => document.getElementById('calculate-btn').click());
 
     // ===== DARK MODE TOGGLE =====
     const darkModeToggle = document.getElementById('dark-mode-toggle');
-    const sunIcon = darkModeToggle.querySelector('.sun-icon');
-    const moonIcon = darkModeToggle.querySelector('.moon-icon');
 
     // Check for saved dark mode preference
-    const savedDarkMode = localStorage.getItem('darkMode');
-    if (savedDarkMode === 'enabled') {
-        document.body.classList.add('dark-mode');
-        sunIcon.classList.add('hidden');
-        moonIcon.classList.remove('hidden');
+    if (localStorage.getItem('darkMode') === 'enabled') {
+        setDarkMode(true);
     }
 
     // Toggle dark mode
     darkModeToggle.addEventListener('click', () => {
-        document.body.classList.toggle('dark-mode');
-        const isDarkMode = document.body.classList.contains('dark-mode');
-
-        // Toggle icons
-        sunIcon.classList.toggle('hidden', isDarkMode);
-        moonIcon.classList.toggle('hidden', !isDarkMode);
-
-        // Save preference
-        localStorage.setItem('darkMode', isDarkMode ? 'enabled' : 'disabled');
+        setDarkMode(!document.body.classList.contains('dark-mode'));
     });
+    // Ask other open pages for the current run and event data
+    publishSync('hello');
 });
@@ -0,0 +1,582 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - PARALLEL ARENAS
+ * ========================================================================
+ *
+ * FEATURES:
+ * - Arena Board: Up to ARENA_LIMIT compact score sheets side by side, for
+ *   events with several tracks running at once and one operator timing
+ *   them all
+ * - Independent Runs: Every arena has its own team, stopwatch, marks,
+ *   undo history and audit trail (a run history from run-state.js) and
+ *   its own last result
+ * - One Results Store: Calculate & Record adds the run to the shared run
+ *   log (see event.js), tagged with the arena it was judged in
+ * - Shortcuts: While the board is open, keyboard / clicker commands act on
+ *   the selected arena; "Next arena" moves the selection
+ * - Persistence: LocalStorage, so running clocks survive a reload, and
+ *   mirrored to other tabs and devices (see sync.js). Each arena carries
+ *   its own revision, so pages merge the board arena by arena.
+ *
+ * The single-arena form above keeps its own run; the board replaces it on
+ * screen while open.
+ *
+ * ====================================================================== */
+
+// Arenas that fit on one board
+const ARENA_LIMIT = 6;
+
+// Board shown instead of the single-arena form
+let arenaBoardOpen = false;
+// [{ id, name, teamId, history, custom, result, rev }]
+let arenas = [];
+let selectedArenaId = null;
+// Removed arena ids with their last revision (see mergeRecords() in sync.js)
+let removedArenaIds = {};
+
+// Per page, not saved: the animation frame and arenas waiting for a reset
+// confirmation or already warned about overtime
+let arenaFrame = null;
+const arenaResetPending = new Set();
+const arenaOvertimeNotified = new Set();
+
+// ===== DATA =====
+
+function createArena(number) {
+    return {
+        id: generateId(),
+        name: `Arena ${number}`,
+        teamId: '',
+        history: createRunHistory(),
+        custom: {},
+        result: null
+    };
+}
+
+function loadArenas() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('lfrArenas'));
+        if (saved) {
+            arenaBoardOpen = Boolean(saved.open);
+            selectedArenaId = saved.selectedId || null;
+            removedArenaIds = saved.removedIds || {};
+            arenas = (saved.arenas || []).map(arena => ({
+                ...arena,
+                history: { ...createRunHistory(), ...arena.history, present: { ...createRunState(), ...arena.history.present } }
+            }));
+        }
+    } catch (e) {
+        console.error('Error loading arenas:', e);
+        arenas = [];
+    }
+}
+
+function storeArenas() {
+    localStorage.setItem('lfrArenas', JSON.stringify({
+        open: arenaBoardOpen,
+        selectedId: selectedArenaId,
+        arenas,
+        removedIds: removedArenaIds
+    }));
+}
+
+// Save the board to localStorage and mirror it on other pages. `changed`
+// arenas move on to their next revision.
+function saveArenas(...changed) {
+    changed.forEach(arena => {
+        arena.rev = getRevision(arena) + 1;
+    });
+    storeArenas();
+    publishArenas();
+}
+
+function publishArenas() {
+    publishSync('arenas', { arenas, removedIds: removedArenaIds });
+}
+
+function findArena(arenaId) {
+    return arenas.find(arena => arena.id === arenaId) || null;
+}
+
+function getSelectedArena() {
+    return findArena(selectedArenaId) || arenas[0] || null;
+}
+
+function addArena() {
+    if (arenas.length >= ARENA_LIMIT) {
+        throw new Error(`At most ${ARENA_LIMIT} arenas fit on the board`);
+    }
+
+    // Next free number, so removing Arena 2 of 3 gives a new Arena 2
+    let number = 1;
+    while (arenas.some(arena => arena.name === `Arena ${number}`)) {
+        number++;
+    }
+
+    const arena = createArena(number);
+    arenas.push(arena);
+    selectedArenaId = arena.id;
+    saveArenas();
+    return arena;
+}
+
+function removeArena(arenaId) {
+    const removed = findArena(arenaId);
+    if (removed) {
+        removedArenaIds = mergeRemovedIds(removedArenaIds, { [removed.id]: getRevision(removed) });
+    }
+    arenas = arenas.filter(arena => arena.id !== arenaId);
+    arenaResetPending.delete(arenaId);
+    arenaOvertimeNotified.delete(arenaId);
+    if (selectedArenaId === arenaId) {
+        selectedArenaId = arenas.length > 0 ? arenas[0].id : null;
+    }
+    saveArenas();
+}
+
+// Apply a judge action to one arena's run
+function dispatchArena(arena, action) {
+    arena.history = dispatchRunAction(arena.history, { ...action, at: runClock() });
+    if (action.type === 'reset') {
+        arenaOvertimeNotified.delete(arena.id);
+    }
+    saveArenas(arena);
+    renderArenaPanel(arena);
+}
+
+function undoArena(arena) {
+    arena.history = undoRunAction(arena.history, runClock());
+    saveArenas(arena);
+    renderArenaPanel(arena);
+}
+
+function redoArena(arena) {
+    arena.history = redoRunAction(arena.history, runClock());
+    saveArenas(arena);
+    renderArenaPanel(arena);
+}
+
+// Run inputs for the scoring engine, like readRunInput() for the main form
+function readArenaInput(arena) {
+    const run = arena.history.present;
+
+    return {
+        leftStart: run.leftStart,
+        reachedEnd: run.reachedEnd,
+        checkpoints: run.checkpoints,
+        clearedCheckpoints: run.clearedCheckpoints,
+        restarts: run.restarts,
+        custom: { ...arena.custom },
+        totalTime: scoringRules.totalTime,
+        elapsedSeconds: getRunElapsedMs(run, runClock()) / 1000,
+        splits: run.splits
+    };
+}
+
+// Stop the clock, score the run and record it for the arena's team, if any.
+// Returns the result, or null when the formula fails or the run can't be recorded.
+function calculateArena(arena) {
+    if (arena.history.present.running) {
+        dispatchArena(arena, { type: 'pause' });
+    }
+
+    let result;
+    try {
+        result = computeScore(readArenaInput(arena), scoringRules);
+    } catch (error) {
+        showToast(`${escapeHtml(arena.name)}: formula error: ${escapeHtml(error.message)}`, 'error');
+        return null;
+    }
+
+    arena.result = result;
+    publishSync('result', { result, teamId: arena.teamId });
+
+    const team = findTeam(arena.teamId);
+    if (team) {
+        try {
+            const run = recordRun(team.id, result, arena.history.audit, arena.name);
+            arena.history = startRunAudit(arena.history);
+            refreshEventViews();
+            showToast(`${escapeHtml(arena.name)}: recorded attempt ${run.attempt} for ${escapeHtml(getTeamLabel(team))}`, 'success');
+        } catch (error) {
+            showToast(`${escapeHtml(arena.name)}: not recorded: ${escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    saveArenas(arena);
+    renderArenaPanel(arena);
+    return result;
+}
+
+// Stopwatch state against the allotted time: '' | 'warning' | 'overtime'
+function getArenaTimeState(elapsedMs) {
+    const limit = (scoringRules.totalTime || 0) * 60 * 1000;
+    if (limit <= 0) {
+        return '';
+    }
+
+    const remaining = limit - elapsedMs;
+    if (remaining < 0 || (remaining === 0 && scoringRules.overtimePolicy === 'autoStop')) {
+        return 'overtime';
+    }
+    return remaining <= (scoringRules.timeWarning || 0) * 1000 ? 'warning' : '';
+}
+
+// ===== UI =====
+
+// mm:ss.cc, like the main stopwatch
+function formatArenaClock(milliseconds) {
+    return formatSplitTime(milliseconds / 1000);
+}
+
+// Team options for an arena: the active round's teams, minus those
+// already on another arena
+function renderArenaTeamOptions(arena) {
+    const round = getActiveRound();
+    const roundTeams = round ? getRoundTeams(round, teams) : teams;
+    const elsewhere = arenas.filter(a => a !== arena).map(a => a.teamId);
+
+    return `<option value="">No team (practice run)</option>` + roundTeams.map(team => `
+        <option value="${team.id}" ${team.id === arena.teamId ? 'selected' : ''} ${elsewhere.includes(team.id) ? 'disabled' : ''}>${escapeHtml(getTeamLabel(team))}</option>`).join('');
+}
+
+function renderArenaMarks(arena) {
+    const run = arena.history.present;
+    const checkpointList = getCheckpointList(scoringRules);
+    const customComponents = getCustomInputComponents(scoringRules);
+
+    const checkpoints = checkpointList.length > 0
+        ? `<div class="checkpoint-checklist arena-checklist">${checkpointList.map((checkpoint, index) => `
+            <label class="checkpoint-chip">
+                <input type="checkbox" data-arena-checkpoint="${index}" ${run.clearedCheckpoints[index] ? 'checked' : ''}>
+                <span class="checkpoint-chip-name">${escapeHtml(checkpoint.name)}</span>
+            </label>`).join('')}
+        </div>`
+        : `<label class="arena-count">C <input type="number" min="0" value="${run.checkpoints}" data-arena-field="checkpoints"></label>`;
+
+    const custom = customComponents.map(component => component.type === 'boolean'
+        ? `<label class="arena-toggle"><input type="checkbox" data-custom-key="${escapeHtml(component.key)}" ${arena.custom[component.key] ? 'checked' : ''}> ${escapeHtml(component.name)}</label>`
+        : `<label class="arena-count">${escapeHtml(component.name)} <input type="number" min="0" value="${escapeHtml(arena.custom[component.key] || 0)}" data-custom-key="${escapeHtml(component.key)}"></label>`).join('');
+
+    return `
+        <div class="arena-marks">
+            <label class="arena-toggle"><input type="checkbox" data-arena-action="toggleStartPoint" ${run.leftStart ? 'checked' : ''}> S</label>
+            <label class="arena-toggle"><input type="checkbox" data-arena-action="toggleEndPoint" ${run.reachedEnd ? 'checked' : ''}> E</label>
+            ${checkpointList.length > 0 ? '' : checkpoints}
+            <label class="arena-count">R <input type="number" min="0" value="${run.restarts}" data-arena-field="restarts"></label>
+            ${custom}
+        </div>
+        ${checkpointList.length > 0 ? checkpoints : ''}`;
+}
+
+function renderArenaResult(arena) {
+    if (!arena.result) {
+        return '<div class="arena-result muted-cell">No score yet</div>';
+    }
+    return `<div class="arena-result">${arena.result.disqualified
+        ? 'Disqualified (over time)'
+        : `Total Score: <strong>${arena.result.finalScore.toFixed(0)}</strong>`}</div>`;
+}
+
+function buildArenaPanelHtml(arena) {
+    const run = arena.history.present;
+    const { undo, redo } = peekRunHistory(arena.history);
+    const elapsed = getRunElapsedMs(run, runClock());
+    const resetPending = arenaResetPending.has(arena.id);
+
+    return `
+        <div class="arena-panel-header">
+            <input type="text" class="arena-name-input" value="${escapeHtml(arena.name)}" maxlength="20" data-arena-field="name" aria-label="Arena name">
+            <button class="close-btn" data-arena-action="remove" title="Remove arena">&times;</button>
+        </div>
+        <select class="preset-select" data-arena-field="teamId" aria-label="Team">${renderArenaTeamOptions(arena)}</select>
+        <div class="arena-clock ${getArenaTimeState(elapsed)}" data-arena-clock>${formatArenaClock(elapsed)}</div>
+        <div class="arena-controls">
+            <button class="stopwatch-btn play-pause${run.running ? ' paused' : ''}" data-arena-action="toggle">${run.running ? 'Pause' : (run.elapsedMs > 0 ? 'Resume' : 'Start')}</button>
+            <button class="stopwatch-btn reset${resetPending ? ' confirming' : ''}" data-arena-action="reset">${resetPending ? 'Confirm reset' : 'Reset'}</button>
+        </div>
+        <div class="arena-controls">
+            <button class="stopwatch-btn split" data-arena-action="checkpoint">+ Checkpoint</button>
+            <button class="stopwatch-btn split restart" data-arena-action="restart">+ Restart</button>
+        </div>
+        ${renderArenaMarks(arena)}
+        <div class="run-history-controls">
+            <button type="button" class="preset-btn" data-arena-action="undo" ${undo ? '' : 'disabled'} title="${undo ? `Undo: ${escapeHtml(undo)}` : 'Nothing to undo'}">&#8630;</button>
+            <span class="last-run-action">${undo ? `Last: ${escapeHtml(undo)}` : ''}</span>
+            <button type="button" class="preset-btn" data-arena-action="redo" ${redo ? '' : 'disabled'} title="${redo ? `Redo: ${escapeHtml(redo)}` : 'Nothing to redo'}">&#8631;</button>
+        </div>
+        <button class="arena-calculate" data-arena-action="calculate">${findTeam(arena.teamId) ? 'Calculate & Record' : 'Calculate Score'}</button>
+        ${renderArenaResult(arena)}`;
+}
+
+// Redraw one arena's panel, e.g. after an action
+function renderArenaPanel(arena) {
+    const panel = document.querySelector(`.arena-panel[data-arena-id="${arena.id}"]`);
+    if (panel) {
+        panel.innerHTML = buildArenaPanelHtml(arena);
+    }
+    startArenaClock();
+}
+
+function renderArenaBoard() {
+    const board = document.getElementById('arena-board');
+    const grid = document.getElementById('arena-grid');
+
+    document.body.classList.toggle('arena-mode', arenaBoardOpen);
+    board.classList.toggle('hidden', !arenaBoardOpen);
+    document.getElementById('add-arena-btn').disabled = arenas.length >= ARENA_LIMIT;
+
+    if (!arenaBoardOpen) {
+        return;
+    }
+
+    const selected = getSelectedArena();
+    grid.innerHTML = arenas.map(arena => `
+        <section class="arena-panel${arena === selected ? ' selected' : ''}" data-arena-id="${arena.id}">
+            ${buildArenaPanelHtml(arena)}
+        </section>`).join('');
+    startArenaClock();
+}
+
+// Refresh the team lists after teams or rounds change, leaving the rest
+// of the panels (and anything being typed) alone
+function renderArenaTeamSelects() {
+    arenas.forEach(arena => {
+        const select = document.querySelector(`.arena-panel[data-arena-id="${arena.id}"] [data-arena-field="teamId"]`);
+        if (select) {
+            select.innerHTML = renderArenaTeamOptions(arena);
+        }
+    });
+}
+
+function selectArena(arenaId) {
+    if (arenaId === selectedArenaId || !findArena(arenaId)) {
+        return;
+    }
+    selectedArenaId = arenaId;
+    document.querySelectorAll('.arena-panel').forEach(panel => {
+        panel.classList.toggle('selected', panel.dataset.arenaId === arenaId);
+    });
+    saveArenas();
+}
+
+// Redraw the clocks of running arenas once per animation frame, from each
+// run's anchor, and apply the time limit
+function tickArenas() {
+    arenaFrame = null;
+    const now = runClock();
+
+    arenas.forEach(arena => {
+        const run = arena.history.present;
+        const clock = document.querySelector(`.arena-panel[data-arena-id="${arena.id}"] [data-arena-clock]`);
+        const elapsed = getRunElapsedMs(run, now);
+        const state = getArenaTimeState(elapsed);
+
+        if (state === 'overtime' && run.running && scoringRules.overtimePolicy === 'autoStop') {
+            dispatchArena(arena, { type: 'autoStop', limitMs: scoringRules.totalTime * 60 * 1000 });
+            showToast(`${escapeHtml(arena.name)}: time limit reached — stopwatch stopped`, 'error');
+            return;
+        }
+        if (state === 'overtime' && run.running && !arenaOvertimeNotified.has(arena.id)) {
+            arenaOvertimeNotified.add(arena.id);
+            showToast(`${escapeHtml(arena.name)}: over time${scoringRules.overtimePolicy === 'disqualify' ? ' — this run will be disqualified' : ''}`, 'error');
+        }
+
+        if (clock) {
+            clock.textContent = formatArenaClock(elapsed);
+            clock.className = `arena-clock ${state}`;
+        }
+    });
+
+    startArenaClock();
+}
+
+function startArenaClock() {
+    if (arenaFrame === null && arenaBoardOpen && arenas.some(arena => arena.history.present.running)) {
+        arenaFrame = requestAnimationFrame(tickArenas);
+    }
+}
+
+function setArenaBoardOpen(open) {
+    arenaBoardOpen = open;
+    if (open && arenas.length === 0) {
+        arenas = [createArena(1), createArena(2)];
+        selectedArenaId = arenas[0].id;
+    }
+    saveArenas();
+    renderArenaBoard();
+}
+
+// Two taps, like the main reset button: the first asks, the second resets
+function resetArena(arena) {
+    if (arenaResetPending.has(arena.id)) {
+        arenaResetPending.delete(arena.id);
+        dispatchArena(arena, { type: 'reset' });
+        showToast(`${escapeHtml(arena.name)}: stopwatch reset`, 'success');
+    } else {
+        arenaResetPending.add(arena.id);
+        renderArenaPanel(arena);
+    }
+}
+
+// What each run command does to an arena
+const ARENA_COMMANDS = {
+    toggleStopwatch: arena => dispatchArena(arena, { type: arena.history.present.running ? 'pause' : 'start' }),
+    addCheckpoint: arena => dispatchArena(arena, { type: 'checkpoint', named: getCheckpointList(scoringRules).length }),
+    addRestart: arena => dispatchArena(arena, { type: 'restart' }),
+    toggleStartPoint: arena => dispatchArena(arena, { type: 'toggleStartPoint' }),
+    toggleEndPoint: arena => dispatchArena(arena, { type: 'toggleEndPoint' }),
+    resetStopwatch: resetArena,
+    undo: undoArena,
+    redo: redoArena,
+    calculate: calculateArena
+};
+
+// ===== INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', function() {
+    const grid = document.getElementById('arena-grid');
+
+    loadArenas();
+    renderArenaBoard();
+
+    document.getElementById('arena-icon').addEventListener('click', () => setArenaBoardOpen(!arenaBoardOpen));
+    document.getElementById('close-arena-board').addEventListener('click', () => setArenaBoardOpen(false));
+
+    document.getElementById('add-arena-btn').addEventListener('click', function() {
+        try {
+            addArena();
+            renderArenaBoard();
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+
+    // Clicking anywhere in a panel selects it for the shortcuts
+    grid.addEventListener('pointerdown', function(e) {
+        const panel = e.target.closest('.arena-panel');
+        if (panel) {
+            selectArena(panel.dataset.arenaId);
+        }
+    });
+
+    grid.addEventListener('click', function(e) {
+        const panel = e.target.closest('.arena-panel');
+        const arena = panel && findArena(panel.dataset.arenaId);
+        if (!arena) {
+            return;
+        }
+
+        // Checkboxes are handled on change below
+        const button = e.target.closest('button[data-arena-action]');
+        if (!button) {
+            return;
+        }
+
+        // Any other button cancels a pending reset
+        const action = button.dataset.arenaAction;
+        if (action !== 'reset' && arenaResetPending.delete(arena.id)) {
+            renderArenaPanel(arena);
+        }
+
+        switch (action) {
+            case 'toggle':
+                ARENA_COMMANDS.toggleStopwatch(arena);
+                break;
+            case 'checkpoint':
+                ARENA_COMMANDS.addCheckpoint(arena);
+                break;
+            case 'restart':
+                ARENA_COMMANDS.addRestart(arena);
+                break;
+            case 'reset':
+                resetArena(arena);
+                break;
+            case 'undo':
+                undoArena(arena);
+                break;
+            case 'redo':
+                redoArena(arena);
+                break;
+            case 'calculate':
+                calculateArena(arena);
+                break;
+            case 'remove':
+                if (arena.history.present.running) {
+                    showToast(`${escapeHtml(arena.name)} is timing a run; pause it first`, 'error');
+                } else if (confirm(`Remove ${arena.name}?`)) {
+                    removeArena(arena.id);
+                    renderArenaBoard();
+                }
+                break;
+        }
+    });
+
+    grid.addEventListener('change', function(e) {
+        const panel = e.target.closest('.arena-panel');
+        const arena = panel && findArena(panel.dataset.arenaId);
+        if (!arena) {
+            return;
+        }
+
+        const target = e.target;
+        if (target.dataset.arenaAction === 'toggleStartPoint' || target.dataset.arenaAction === 'toggleEndPoint') {
+            dispatchArena(arena, { type: target.dataset.arenaAction });
+        } else if (target.dataset.arenaCheckpoint !== undefined) {
+            const index = Number(target.dataset.arenaCheckpoint);
+            const checkpoint = getCheckpointList(scoringRules)[index];
+            dispatchArena(arena, { type: 'toggleCheckpoint', index, name: checkpoint ? checkpoint.name : '' });
+        } else if (target.dataset.arenaField === 'checkpoints') {
+            dispatchArena(arena, { type: 'setCheckpoints', value: target.value });
+        } else if (target.dataset.arenaField === 'restarts') {
+            dispatchArena(arena, { type: 'setRestarts', value: target.value });
+        } else if (target.dataset.arenaField === 'teamId') {
+            arena.teamId = target.value;
+            saveArenas(arena);
+            // Other arenas can no longer pick this team
+            renderArenaBoard();
+        } else if (target.dataset.arenaField === 'name') {
+            arena.name = target.value.trim() || arena.name;
+            saveArenas(arena);
+            renderArenaPanel(arena);
+        } else if (target.dataset.customKey) {
+            arena.custom[target.dataset.customKey] = target.type === 'checkbox' ? target.checked : target.value;
+            saveArenas(arena);
+        }
+    });
+
+    // While the board is open, run commands act on the selected arena
+    Object.entries(ARENA_COMMANDS).forEach(([command, handler]) => {
+        const singleArena = commandHandlers[command];
+        registerCommand(command, function() {
+            const arena = getSelectedArena();
+            if (arenaBoardOpen && arena) {
+                handler(arena);
+            } else if (singleArena) {
+                singleArena();
+            }
+        });
+    });
+
+    registerCommand('nextArena', function() {
+        if (arenaBoardOpen && arenas.length > 0) {
+            const index = arenas.indexOf(getSelectedArena());
+            selectArena(arenas[(index + 1) % arenas.length].id);
+        }
+    });
+
+    // Arenas changed on another tab or device: merge them with ours, arena
+    // by arena. Anything the sender hasn't seen yet goes back to it.
+    subscribeSync('arenas', function(payload) {
+        const incomingRemoved = payload.removedIds || {};
+        removedArenaIds = mergeRemovedIds(removedArenaIds, incomingRemoved);
+        arenas = mergeRecords(arenas, payload.arenas, removedArenaIds);
+        storeArenas();
+        renderArenaBoard();
+
+        if (hasNewerRecords(arenas, payload.arenas) ||
+            Object.keys(removedArenaIds).length !== Object.keys(incomingRemoved).length) {
+            publishArenas();
+        }
+    });
+
+    subscribeSync('hello', publishArenas);
+});
@@ -0,0 +1,337 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - CONFIGURATION SCHEMA
+ * ========================================================================
+ *
+ * Rules checks shared by the settings form and configuration import, and
+ * the versioned configuration file format:
+ *
+ *   { name, version, timestamp, rules }
+ *
+ * VERSIONS:
+ * - 0: a bare rules object, before files had a wrapper
+ * - 1: version "1.0"; rules could miss keys added later and numbers could
+ *   be strings, because imports only checked the numeric ranges
+ * - 2: every rule present with the right type; nothing else allowed
+ *
+ * Older files are upgraded one version at a time by CONFIG_MIGRATIONS
+ * before the strict checks run, so a new version only needs one new
+ * migration.
+ *
+ * ====================================================================== */
+
+const CONFIG_VERSION = 2;
+
+// Settings-modal names for rules that aren't in RULE_FIELDS
+const RULE_LABELS = {
+    checkpointList: 'Named Checkpoints',
+    timePolicy: 'Time Bonus Policy',
+    overtimePolicy: 'Overtime Policy',
+    timeRounding: 'Time Rounding',
+    timePrecision: 'Time Precision (seconds)',
+    rankingPolicy: 'Ranking Policy',
+    rankingCount: 'Attempts Counted',
+    tieBreakers: 'Tie-Breakers',
+    customComponents: 'Custom Components',
+    formula: 'Custom Formula'
+};
+
+// Custom component keys become formula variables, component codes and
+// element ids, so they must be plain identifiers
+const COMPONENT_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9]*$/;
+
+// Codes of the built-in breakdown components, including formula (F) and
+// disqualification (D)
+const BUILT_IN_COMPONENT_CODES = ['S', 'E', 'C', 'R', 'B', 'T', 'F', 'D'];
+
+// A finished run with one checkpoint and one restart, scored once to catch
+// formulas that parse but fail at run time (division by zero, bad arguments)
+const FORMULA_SAMPLE_INPUT = {
+    leftStart: true,
+    reachedEnd: true,
+    checkpoints: 1,
+    clearedCheckpoints: [true],
+    restarts: 1,
+    elapsedSeconds: 90
+};
+
+// Why a custom component key can't be used, or null if it can
+function getComponentKeyError(key) {
+    if (typeof key !== 'string' || !COMPONENT_KEY_PATTERN.test(key)) {
+        return 'must start with a letter and contain only letters and digits';
+    }
+    if (getFormulaFunction(key)) {
+        return 'is the name of a formula function';
+    }
+    if (BUILT_IN_COMPONENT_CODES.includes(key) || ['true', 'false'].includes(key) ||
+        getFormulaVariableNames(DEFAULT_RULES).includes(key)) {
+        return 'is already used by the scoring formula';
+    }
+    return null;
+}
+
+// Upgrade a configuration from version N to N + 1
+const CONFIG_MIGRATIONS = {
+    0: config => ({
+        name: 'Imported LFR Scoring Configuration',
+        version: 1,
+        rules: config
+    }),
+    1: config => ({
+        ...config,
+        version: 2,
+        rules: { ...DEFAULT_RULES, ...coerceNumericRules(config.rules) }
+    })
+};
+
+// Label for a rule key, e.g. "Restart Penalty"
+function getRuleLabel(key) {
+    const field = RULE_FIELDS.find(f => f.key === key);
+    return field ? field.label : (RULE_LABELS[key] || key);
+}
+
+// Turn numeric strings ("20") into numbers for the number-valued rules;
+// anything else is left for validation to reject
+function coerceNumericRules(rules) {
+    if (!rules || typeof rules !== 'object') {
+        return rules;
+    }
+
+    const numericKeys = [...RULE_FIELDS.map(field => field.key), 'timePrecision', 'rankingCount'];
+    const coerced = { ...rules };
+    numericKeys.forEach(key => {
+        if (typeof coerced[key] === 'string' && coerced[key].trim() !== '' && Number.isFinite(Number(coerced[key]))) {
+            coerced[key] = Number(coerced[key]);
+        }
+    });
+    return coerced;
+}
+
+// Format version of a parsed configuration file ("1.0" counts as 1), or
+// NaN when it isn't a whole number
+function getConfigVersion(config) {
+    if (config.version === undefined) {
+        return config.rules === undefined ? 0 : 1;
+    }
+    if (typeof config.version === 'string' && /^\d+(\.0+)?$/.test(config.version.trim())) {
+        return Number(config.version);
+    }
+    return Number.isInteger(config.version) ? config.version : NaN;
+}
+
+function isKnownRule(key) {
+    return Object.prototype.hasOwnProperty.call(DEFAULT_RULES, key);
+}
+
+// Check rule values. Keys that are absent are skipped, so partial rules
+// (a preset, the settings form) can be checked too.
+// Returns { ruleKey: message } for every invalid rule.
+function validateRules(rules) {
+    const errors = {};
+
+    // Numeric rule fields
+    RULE_FIELDS.forEach(field => {
+        const value = rules[field.key];
+        if (value === undefined) {
+            return;
+        }
+
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors[field.key] = 'Must be a number';
+        } else if (field.max === Infinity && value < field.min) {
+            errors[field.key] = `${field.label.replace(/ \(.*\)$/, '')} cannot be negative`;
+        } else if (value < field.min || value > field.max) {
+            errors[field.key] = `Value must be between ${field.min} and ${field.max}`;
+        }
+    });
+
+    if (rules.timePolicy !== undefined && !TIME_POLICIES[rules.timePolicy]) {
+        errors.timePolicy = 'Unknown time policy';
+    }
+
+    if (rules.overtimePolicy !== undefined && !OVERTIME_POLICIES[rules.overtimePolicy]) {
+        errors.overtimePolicy = 'Unknown overtime policy';
+    }
+
+    if (rules.timeRounding !== undefined && !TIME_ROUNDING_MODES[rules.timeRounding]) {
+        errors.timeRounding = 'Unknown rounding mode';
+    }
+
+    if (rules.timePrecision !== undefined && !TIME_PRECISIONS.includes(rules.timePrecision)) {
+        errors.timePrecision = `Precision must be one of ${TIME_PRECISIONS.join(', ')} seconds`;
+    }
+
+    if (rules.rankingPolicy !== undefined && !RANKING_POLICIES[rules.rankingPolicy]) {
+        errors.rankingPolicy = 'Unknown ranking policy';
+    }
+
+    if (rules.rankingCount !== undefined && (!Number.isInteger(rules.rankingCount) || rules.rankingCount < 1)) {
+        errors.rankingCount = 'Attempts counted must be a whole number of at least 1';
+    }
+
+    if (rules.tieBreakers !== undefined) {
+        const isValidList = Array.isArray(rules.tieBreakers) &&
+            rules.tieBreakers.every(key => TIE_BREAKERS[key]) &&
+            new Set(rules.tieBreakers).size === rules.tieBreakers.length;
+        if (!isValidList) {
+            errors.tieBreakers = 'Tie-breakers must be a list of distinct, known tie-breakers';
+        }
+    }
+
+    // Check for unreasonable values
+    const maxValue = 10000;
+    const minValue = -10000;
+
+    if (rules.checkpointList !== undefined) {
+        if (!Array.isArray(rules.checkpointList)) {
+            errors.checkpointList = 'Named checkpoints must be a list';
+        } else {
+            rules.checkpointList.forEach((checkpoint, index) => {
+                if (!checkpoint || typeof checkpoint.name !== 'string' || !checkpoint.name.trim()) {
+                    errors.checkpointList = `Checkpoint ${index + 1} needs a name`;
+                } else if (typeof checkpoint.points !== 'number' || Number.isNaN(checkpoint.points) ||
+                    checkpoint.points > maxValue || checkpoint.points < minValue) {
+                    errors.checkpointList = `"${checkpoint.name}" must be worth between ${minValue} and ${maxValue} points`;
+                }
+            });
+        }
+    }
+
+    if (rules.customComponents !== undefined) {
+        if (!Array.isArray(rules.customComponents)) {
+            errors.customComponents = 'Custom components must be a list';
+        } else {
+            const keys = new Set();
+            rules.customComponents.forEach((component, index) => {
+                if (!component || typeof component.name !== 'string' || !component.name.trim()) {
+                    errors.customComponents = `Component ${index + 1} needs a name`;
+                } else if (getComponentKeyError(component.key)) {
+                    errors.customComponents = `The key of "${component.name}" ${getComponentKeyError(component.key)}`;
+                } else if (keys.has(component.key)) {
+                    errors.customComponents = `"${component.name}" needs a unique key`;
+                } else if (!CUSTOM_COMPONENT_TYPES[component.type]) {
+                    errors.customComponents = `"${component.name}" has an unknown type`;
+                } else if (typeof component.points !== 'number' || Number.isNaN(component.points) ||
+                    component.points > maxValue || component.points < minValue) {
+                    errors.customComponents = `"${component.name}" must be worth between ${minValue} and ${maxValue} points`;
+                }
+                keys.add(component && component.key);
+            });
+        }
+    }
+
+    if (rules.formula !== undefined && rules.formula !== '') {
+        if (typeof rules.formula !== 'string') {
+            errors.formula = 'Formula must be text';
+        } else {
+            try {
+                const known = getFormulaVariableNames(rules);
+                const unknown = listFormulaVariables(parseFormula(rules.formula)).find(name => !known.includes(name));
+                if (unknown) {
+                    errors.formula = `Unknown variable "${unknown}"`;
+                } else if (Object.keys(errors).length === 0) {
+                    computeScore(FORMULA_SAMPLE_INPUT, { ...DEFAULT_RULES, ...rules });
+                }
+            } catch (error) {
+                errors.formula = error.message;
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Upgrade and strictly check a parsed configuration file.
+// Returns { rules, migratedFrom, errors } where errors is a list of
+// { key, label, message }; rules is null when the file can't be used.
+function validateConfig(config) {
+    const fail = message => ({ rules: null, migratedFrom: null, errors: [{ key: '', label: 'File', message }] });
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return fail('Not a configuration file');
+    }
+
+    const version = getConfigVersion(config);
+    if (!Number.isInteger(version) || version < 0) {
+        return fail(`Unknown configuration version "${config.version}"`);
+    }
+    if (version > CONFIG_VERSION) {
+        return fail(`Configuration version ${version} is newer than this calculator supports (${CONFIG_VERSION})`);
+    }
+
+    if (version === 0 && !Object.keys(config).some(isKnownRule)) {
+        return fail('Not a configuration file');
+    }
+
+    let migrated = config;
+    for (let from = version; from < CONFIG_VERSION; from++) {
+        migrated = CONFIG_MIGRATIONS[from](migrated);
+    }
+
+    const rules = migrated.rules;
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return fail('The file has no rules');
+    }
+
+    const errors = [];
+    const addError = (key, message) => errors.push({ key, label: getRuleLabel(key), message });
+
+    Object.keys(rules)
+        .filter(key => !isKnownRule(key))
+        .forEach(key => addError(key, 'Unknown setting'));
+    Object.keys(DEFAULT_RULES)
+        .filter(key => !Object.prototype.hasOwnProperty.call(rules, key))
+        .forEach(key => addError(key, 'Missing'));
+    Object.entries(validateRules(rules)).forEach(([key, message]) => addError(key, message));
+
+    return {
+        rules: errors.length === 0 ? { ...rules } : null,
+        migratedFrom: version < CONFIG_VERSION ? version : null,
+        errors
+    };
+}
+
+// Configuration file for export, copy and reports
+function createConfigFile(rules) {
+    return {
+        name: 'Custom LFR Scoring Configuration',
+        version: CONFIG_VERSION,
+        timestamp: new Date().toISOString(),
+        rules
+    };
+}
+
+// Rule value in words for previews, e.g. "Gap (150), Ramp (200)"
+function formatRuleValue(key, value) {
+    switch (key) {
+        case 'checkpointList':
+            return value.length > 0 ? value.map(checkpoint => `${checkpoint.name} (${checkpoint.points})`).join(', ') : 'None';
+        case 'customComponents':
+            return value.length > 0 ? value.map(component => `${component.name} (${component.points})`).join(', ') : 'None';
+        case 'tieBreakers':
+            return describeTieBreakers({ tieBreakers: value });
+        case 'timePolicy':
+            return TIME_POLICIES[value];
+        case 'overtimePolicy':
+            return OVERTIME_POLICIES[value];
+        case 'timeRounding':
+            return TIME_ROUNDING_MODES[value];
+        case 'rankingPolicy':
+            return RANKING_POLICIES[value];
+        case 'formula':
+            return value || 'Standard sum';
+        default:
+            return String(value);
+    }
+}
+
+// Rules that differ between two complete rule sets, in DEFAULT_RULES order
+function diffRules(current, incoming) {
+    return Object.keys(DEFAULT_RULES)
+        .filter(key => JSON.stringify(current[key]) !== JSON.stringify(incoming[key]))
+        .map(key => ({
+            key,
+            label: getRuleLabel(key),
+            from: formatRuleValue(key, current[key]),
+            to: formatRuleValue(key, incoming[key])
+        }));
+}
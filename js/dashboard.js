@@ -0,0 +1,143 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - ANALYTICS DASHBOARD
+ * ========================================================================
+ *
+ * FEATURES:
+ * - Scope: All recorded runs, or the runs of one round
+ * - Summary: Runs, teams, average and best score, average restarts and
+ *   the time bonus's share of all points
+ * - Charts: Score distribution, checkpoint reach, restarts per run,
+ *   average points per breakdown component and scores by attempt
+ *
+ * The numbers and SVG charts come from analytics.js. The panel is only
+ * drawn while its tab is open.
+ *
+ * ====================================================================== */
+
+// ===== RENDERING =====
+
+function formatShare(share) {
+    return share === null ? '–' : `${(share * 100).toFixed(0)}%`;
+}
+
+function formatAverage(value, digits = 1) {
+    return value === null ? '–' : value.toFixed(digits);
+}
+
+// Same labels as the score breakdown: "Start (S)", custom components by name
+function getComponentChartLabel(component) {
+    return component.custom ? component.label : `${component.label} (${component.code})`;
+}
+
+function renderAnalyticsCard(label, value) {
+    return `
+        <div class="analytics-card">
+            <div class="analytics-card-value">${value}</div>
+            <div class="analytics-card-label">${label}</div>
+        </div>`;
+}
+
+function renderAnalyticsChart(title, description, svg) {
+    return `
+        <div class="analytics-chart">
+            <h3>${title}</h3>
+            ${description ? `<div class="event-caption">${description}</div>` : ''}
+            ${svg}
+        </div>`;
+}
+
+function renderProgressionChart(progression) {
+    const shown = progression.teams.slice(0, PROGRESSION_TEAM_LIMIT);
+    const series = [
+        ...shown.map(entry => ({ name: getTeamLabel(entry.team), values: entry.scores, className: 'team' })),
+        { name: 'Average', values: progression.average, className: 'average' }
+    ];
+    const hidden = progression.teams.length - shown.length;
+    const description = 'Each team\'s score per attempt, with the average in bold' +
+        (hidden > 0 ? ` (${hidden} more team${hidden === 1 ? '' : 's'} in the average only)` : '');
+
+    return renderAnalyticsChart('Scores by Attempt', description,
+        renderLineChartSvg(series, progression.attempts.map(attempt => `#${attempt}`), { label: 'Scores by attempt' }));
+}
+
+function renderAnalyticsView(runs) {
+    if (runs.length === 0) {
+        return '<div class="event-empty">No runs recorded yet</div>';
+    }
+
+    const analytics = buildRunAnalytics(runs, teams);
+    const cards = [
+        renderAnalyticsCard('Runs', analytics.runCount),
+        renderAnalyticsCard('Teams', analytics.teamCount),
+        renderAnalyticsCard('Average score', formatAverage(analytics.averageScore)),
+        renderAnalyticsCard('Best score', analytics.bestScore.toFixed(0)),
+        renderAnalyticsCard('Average restarts', formatAverage(analytics.averageRestarts)),
+        renderAnalyticsCard('Time bonus share', formatShare(analytics.timeBonusShare))
+    ].join('');
+
+    const distribution = analytics.distribution.map(bin => ({
+        label: formatChartNumber(bin.from),
+        value: bin.count,
+        title: `${formatChartNumber(bin.from)} to under ${formatChartNumber(bin.to)}: ${bin.count} run${bin.count === 1 ? '' : 's'}`
+    }));
+
+    const checkpoints = analytics.checkpoints.map(entry => ({
+        label: entry.label,
+        value: entry.share * 100,
+        title: `${entry.label}: ${entry.count} of ${entry.runs} runs`
+    }));
+
+    const restarts = analytics.restarts.map(entry => ({ label: entry.label, value: entry.count }));
+
+    const components = analytics.components.map(component => ({
+        label: getComponentChartLabel(component),
+        value: component.average,
+        title: `${getComponentChartLabel(component)}: ${formatAverage(component.average)} on average, ${formatChartNumber(component.total)} in total`
+    }));
+
+    return `
+        <div class="analytics-cards">${cards}</div>
+        ${renderAnalyticsChart('Score Distribution', 'Runs by final score',
+            renderColumnChartSvg(distribution, { label: 'Score distribution' }))}
+        ${checkpoints.length > 0 ? renderAnalyticsChart('Checkpoints Reached', 'Share of runs reaching each checkpoint',
+            renderBarChartSvg(checkpoints, { label: 'Checkpoints reached', format: value => `${value.toFixed(0)}%` })) : ''}
+        ${renderAnalyticsChart('Restarts', 'Runs by number of restarts',
+            renderColumnChartSvg(restarts, { label: 'Restarts', height: 160 }))}
+        ${renderAnalyticsChart('Points by Component', 'Average points per run, as in the score breakdown',
+            renderBarChartSvg(components, { label: 'Points by component', format: formatAverage }))}
+        ${renderProgressionChart(analytics.progression)}`;
+}
+
+// All runs or one round's; a round that was deleted falls back to all
+// runs. Also used by the what-if comparison (see what-if.js).
+function updateRoundScopeSelect(select) {
+    const current = select.value;
+
+    select.innerHTML = '<option value="">All runs</option>' + rounds
+        .map(round => `<option value="${round.id}">${escapeHtml(round.name)}</option>`)
+        .join('');
+    select.value = findRound(rounds, current) ? current : '';
+    select.classList.toggle('hidden', rounds.length === 0);
+}
+
+// The runs a scope select points at
+function getScopedRuns(select) {
+    return select.value ? getRoundRuns(rounds, runLog, select.value) : runLog;
+}
+
+function renderAnalytics() {
+    if (document.getElementById('event-panel-analytics').classList.contains('hidden')) {
+        return;
+    }
+
+    const scope = document.getElementById('analytics-scope');
+    updateRoundScopeSelect(scope);
+    document.getElementById('analytics-view').innerHTML = renderAnalyticsView(getScopedRuns(scope));
+}
+
+// ===== INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', function() {
+    // The tab handler in event.js shows the panel first
+    document.querySelector('.event-tab[data-tab="analytics"]').addEventListener('click', renderAnalytics);
+    document.getElementById('analytics-scope').addEventListener('change', renderAnalytics);
+});
@@ -0,0 +1,290 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - AUDIENCE SCOREBOARD
+ * ========================================================================
+ *
+ * Full-screen, read-only page for a projector (display.html). It follows
+ * the judge pages through sync.js and shows:
+ * - The live stopwatch, driven by the judge page's timer and measured
+ *   against the time allotted on its form
+ * - The team on track
+ * - An animated reveal of each calculated score's breakdown
+ * - A leaderboard that rotates through the standings N rows at a time
+ *   (of the active round, when the event is run in rounds)
+ *
+ * URL OPTIONS: ?rows=5 (leaderboard rows per page), ?rotate=8 (seconds
+ * per page), ?relay=ws://... (see sync.js)
+ *
+ * On the judging device it starts from localStorage; on another device
+ * it waits for the judge page to answer its "hello".
+ *
+ * ====================================================================== */
+
+let displayRules = { ...DEFAULT_RULES };
+let displayHistory = createRunHistory();
+let displayTeamId = '';
+// Time allotted on the judge page's form, which can differ from the rules';
+// null until the judge page has sent it
+let displayTimeLimitMs = null;
+let displayLeaderboardPage = 0;
+
+const displayOptions = (function() {
+    const params = new URLSearchParams(location.search);
+    return {
+        rows: Math.max(1, Number.parseInt(params.get('rows')) || 5),
+        rotateSeconds: Math.max(2, Number.parseFloat(params.get('rotate')) || 8)
+    };
+})();
+
+// Pause between breakdown rows during the reveal
+const DISPLAY_REVEAL_STEP_MS = 700;
+
+// Start from whatever the judge page on this device saved
+function loadDisplayState() {
+    try {
+        displayRules = { ...DEFAULT_RULES, ...JSON.parse(localStorage.getItem('lfrScoringRules')) };
+    } catch (e) {
+        console.error('Error loading rules:', e);
+    }
+
+    try {
+        const savedRun = JSON.parse(localStorage.getItem('lfrRunState'));
+        if (savedRun) {
+            displayHistory = { ...createRunHistory(), ...savedRun };
+        }
+    } catch (e) {
+        console.error('Error loading run state:', e);
+    }
+
+    loadEventData();
+}
+
+// mm:ss.cc, like the judge page's stopwatch
+function formatDisplayClock(milliseconds) {
+    const centiseconds = Math.floor(milliseconds / 10);
+    const minutes = Math.floor(centiseconds / 6000);
+    const seconds = Math.floor((centiseconds % 6000) / 100);
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(centiseconds % 100).padStart(2, '0')}`;
+}
+
+// Signed points without float noise, e.g. "+150", "-70", "+287.6"
+function formatDisplayPoints(points) {
+    const rounded = Number(points.toFixed(1));
+    return `${rounded > 0 ? '+' : ''}${rounded}`;
+}
+
+function prefersReducedMotion() {
+    return window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+function renderDisplayClock() {
+    const clock = document.getElementById('display-clock');
+    const status = document.getElementById('display-status');
+    const run = displayHistory.present;
+    const elapsed = getRunElapsedMs(run, runClock());
+    const limitMs = displayTimeLimitMs === null ? displayRules.totalTime * 60 * 1000 : displayTimeLimitMs;
+    const remaining = limitMs - elapsed;
+    const warningMs = (displayRules.timeWarning || 0) * 1000;
+
+    clock.textContent = formatDisplayClock(elapsed);
+    clock.classList.toggle('overtime', remaining < 0);
+    clock.classList.toggle('warning', remaining >= 0 && warningMs > 0 && remaining <= warningMs);
+
+    if (remaining < 0) {
+        status.textContent = 'Over time';
+    } else if (!run.running && elapsed > 0) {
+        status.textContent = 'Paused';
+    } else {
+        status.textContent = '';
+    }
+}
+
+function renderDisplayTeam() {
+    const team = findTeam(displayTeamId);
+    document.getElementById('display-team').textContent = team ? getTeamLabel(team) : 'No team on track';
+}
+
+// Count the total up from zero once the breakdown rows are in
+function animateDisplayTotal(element, target, delay) {
+    if (prefersReducedMotion()) {
+        element.textContent = `${target.toFixed(0)} pts`;
+        return;
+    }
+
+    const duration = 1200;
+    element.textContent = '';
+
+    setTimeout(function() {
+        const startedAt = performance.now();
+        (function step() {
+            const progress = Math.min(1, (performance.now() - startedAt) / duration);
+            const eased = 1 - Math.pow(1 - progress, 3);
+            element.textContent = `${(target * eased).toFixed(0)} pts`;
+            if (progress < 1) {
+                requestAnimationFrame(step);
+            }
+        })();
+    }, delay);
+}
+
+// Reveal a result's components one by one, then the total
+function renderDisplayResult(result, teamId) {
+    const team = findTeam(teamId);
+    const panel = document.getElementById('display-result');
+    const breakdown = document.getElementById('display-breakdown');
+    const score = document.getElementById('display-result-score');
+    const step = prefersReducedMotion() ? 0 : DISPLAY_REVEAL_STEP_MS;
+
+    document.getElementById('display-result-team').textContent = team ? getTeamLabel(team) : 'Practice run';
+
+    breakdown.innerHTML = '';
+    result.components.forEach((component, index) => {
+        const row = document.createElement('li');
+        row.className = component.points < 0 ? 'negative' : '';
+        row.style.animationDelay = `${index * step}ms`;
+
+        const label = document.createElement('span');
+        label.className = 'display-breakdown-label';
+        label.textContent = component.custom ? component.label : `${component.label} (${component.code})`;
+
+        const value = document.createElement('span');
+        value.className = 'display-breakdown-value';
+        value.textContent = formatDisplayPoints(component.points);
+
+        row.append(label, value);
+        breakdown.appendChild(row);
+    });
+
+    if (result.disqualified) {
+        score.textContent = 'Disqualified';
+    } else {
+        animateDisplayTotal(score, result.finalScore, result.components.length * step);
+    }
+
+    // Restart the CSS animations for a new result
+    panel.classList.add('hidden');
+    void panel.offsetWidth;
+    panel.classList.remove('hidden');
+}
+
+function hideDisplayResult() {
+    document.getElementById('display-result').classList.add('hidden');
+}
+
+// Show one page of the standings; pages rotate on a timer
+function renderDisplayLeaderboard() {
+    const list = document.getElementById('display-leaderboard');
+    const indicator = document.getElementById('display-page-indicator');
+    const round = getActiveRound();
+    const rules = round ? round.rules : displayRules;
+    const ranked = buildEventLeaderboard(rules).filter(entry => entry.score !== null);
+    const pageCount = Math.max(1, Math.ceil(ranked.length / displayOptions.rows));
+
+    displayLeaderboardPage %= pageCount;
+    const first = displayLeaderboardPage * displayOptions.rows;
+    const entries = ranked.slice(first, first + displayOptions.rows);
+
+    document.getElementById('display-caption').textContent =
+        `${round ? `${round.name} · ` : ''}${describeRankingPolicy(rules)} · Ties: ${describeTieBreakers(rules)}`;
+    indicator.textContent = pageCount > 1
+        ? `${first + 1}–${first + entries.length} of ${ranked.length}`
+        : '';
+
+    list.innerHTML = '';
+    if (entries.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'display-empty';
+        empty.textContent = 'No runs recorded yet';
+        list.appendChild(empty);
+        return;
+    }
+
+    entries.forEach((entry, index) => {
+        const row = document.createElement('li');
+        row.className = entry.rank === 1 ? 'leader' : '';
+        row.style.animationDelay = `${index * 80}ms`;
+
+        const rank = document.createElement('span');
+        rank.className = 'display-rank';
+        rank.textContent = entry.rank;
+
+        const name = document.createElement('span');
+        name.className = 'display-name';
+        name.textContent = getTeamLabel(entry.team);
+
+        const score = document.createElement('span');
+        score.className = 'display-score';
+        score.textContent = entry.score.toFixed(0);
+
+        row.append(rank, name, score);
+        list.appendChild(row);
+    });
+}
+
+function toggleDisplayFullscreen() {
+    if (document.fullscreenElement) {
+        document.exitFullscreen();
+    } else if (document.documentElement.requestFullscreen) {
+        document.documentElement.requestFullscreen().catch(() => {});
+    }
+}
+
+// ===== INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', function() {
+    const fullscreenBtn = document.getElementById('display-fullscreen-btn');
+
+    loadDisplayState();
+    renderDisplayTeam();
+    renderDisplayLeaderboard();
+
+    // Redraw the clock every frame; cheap, and keeps it live while running
+    (function tick() {
+        renderDisplayClock();
+        requestAnimationFrame(tick);
+    })();
+
+    setInterval(function() {
+        displayLeaderboardPage++;
+        renderDisplayLeaderboard();
+    }, displayOptions.rotateSeconds * 1000);
+
+    fullscreenBtn.addEventListener('click', toggleDisplayFullscreen);
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'f' || e.key === 'F') {
+            toggleDisplayFullscreen();
+        }
+    });
+    document.addEventListener('fullscreenchange', function() {
+        fullscreenBtn.classList.toggle('hidden', Boolean(document.fullscreenElement));
+    });
+
+    subscribeSync('runState', function(payload) {
+        // An older copy of the run (see isNewerRecord() in sync.js) only
+        // brings the team along
+        if (!isNewerRecord(displayHistory, payload.history)) {
+            // The last result makes way as soon as the next run starts
+            if (payload.history.present.running && !displayHistory.present.running) {
+                hideDisplayResult();
+            }
+            displayHistory = payload.history;
+        }
+        displayTeamId = payload.teamId;
+        if (Number.isFinite(payload.timeLimitMs)) {
+            displayTimeLimitMs = payload.timeLimitMs;
+        }
+        renderDisplayTeam();
+    });
+
+    subscribeSync('result', payload => renderDisplayResult(payload.result, payload.teamId));
+
+    subscribeSync('eventData', function(payload) {
+        const merged = mergeEventData(payload);
+        rounds = merged.rounds;
+        activeRoundId = merged.activeRound.id;
+        activeRoundRev = merged.activeRound.rev;
+        displayRules = { ...DEFAULT_RULES, ...payload.rules };
+        renderDisplayTeam();
+        renderDisplayLeaderboard();
+    });
+
+    publishSync('hello');
+});
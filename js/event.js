@@ -0,0 +1,618 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - EVENT MODE
+ * ========================================================================
+ *
+ * FEATURES:
+ * - Team Registry: Name, number and school for every competing team
+ * - Run Log: Every calculated run can be recorded against a team,
+ *   together with its stopwatch checkpoint / restart splits and the
+ *   audit trail of judge actions
+ * - Leaderboard: Live standings built from the run log (see ranking.js)
+ * - Rounds: Qualification, final and knockout rounds, each with its own
+ *   rules; runs are recorded in the active round (see tournament.js)
+ * - Export: CSV of every attempt and a printable report (report.html)
+ * - Persistence: LocalStorage, next to the scoring rules and presets
+ * - Sync: Changes are mirrored to other tabs and devices (see sync.js)
+ *
+ * ====================================================================== */
+
+let teams = [];
+let runLog = [];
+// Tournament rounds (empty for a single-round event) and the one being judged
+let rounds = [];
+let activeRoundId = null;
+// Revision of the active round choice, raised whenever this page changes it
+// (see isNewerRecord() in sync.js)
+let activeRoundRev = 0;
+// Ids of removed teams, runs and rounds with their last revision, so sync
+// doesn't bring them back (see mergeRecords() in sync.js)
+let removedIds = { teams: {}, runLog: {}, rounds: {} };
+
+// ===== DATA =====
+
+// Short unique id for teams and runs
+function generateId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Load teams and run log from localStorage
+function loadEventData() {
+    const savedTeams = localStorage.getItem('lfrTeams');
+    const savedRuns = localStorage.getItem('lfrRunLog');
+
+    if (savedTeams) {
+        try {
+            teams = JSON.parse(savedTeams);
+        } catch (e) {
+            console.error('Error loading teams:', e);
+            teams = [];
+        }
+    }
+
+    if (savedRuns) {
+        try {
+            runLog = JSON.parse(savedRuns);
+        } catch (e) {
+            console.error('Error loading run log:', e);
+            runLog = [];
+        }
+    }
+
+    try {
+        ({ rounds, activeRoundId, activeRoundRev } = {
+            rounds: [],
+            activeRoundId: null,
+            activeRoundRev: 0,
+            ...JSON.parse(localStorage.getItem('lfrRounds'))
+        });
+    } catch (e) {
+        console.error('Error loading rounds:', e);
+        rounds = [];
+        activeRoundId = null;
+        activeRoundRev = 0;
+    }
+
+    try {
+        removedIds = { teams: {}, runLog: {}, rounds: {}, ...JSON.parse(localStorage.getItem('lfrRemovedIds')) };
+    } catch (e) {
+        console.error('Error loading removed ids:', e);
+    }
+}
+
+// Save teams to localStorage
+function saveTeams() {
+    localStorage.setItem('lfrTeams', JSON.stringify(teams));
+    publishEventData();
+}
+
+// Save run log to localStorage
+function saveRunLog() {
+    localStorage.setItem('lfrRunLog', JSON.stringify(runLog));
+    publishEventData();
+}
+
+// Save rounds and the active round to localStorage
+function saveRounds() {
+    storeRounds();
+    publishEventData();
+}
+
+function storeRounds() {
+    localStorage.setItem('lfrRounds', JSON.stringify({ rounds, activeRoundId, activeRoundRev }));
+}
+
+// The active round choice as a synced record: { id, rev }
+function getActiveRoundChoice() {
+    return { id: activeRoundId, rev: activeRoundRev };
+}
+
+// Judge another round (or none) from now on. Saved with the rounds.
+function setActiveRound(roundId) {
+    activeRoundId = roundId;
+    activeRoundRev++;
+}
+
+// Remember removed teams, runs or rounds (`kind` is 'teams', 'runLog' or
+// 'rounds'). Saved along with the list they were removed from.
+function markRemoved(kind, records) {
+    const removed = Object.fromEntries(records.map(record => [record.id, getRevision(record)]));
+    removedIds = { ...removedIds, [kind]: mergeRemovedIds(removedIds[kind], removed) };
+    localStorage.setItem('lfrRemovedIds', JSON.stringify(removedIds));
+}
+
+// Mirror teams, runs and rounds on other pages (see sync.js). The rules go
+// along so a display on another device ranks the same way.
+function publishEventData() {
+    publishSync('eventData', {
+        teams,
+        runLog,
+        rounds,
+        activeRound: getActiveRoundChoice(),
+        removedIds,
+        rules: { ...DEFAULT_RULES, ...scoringRules }
+    });
+}
+
+// Merge teams and runs from another page into ours, oldest run first.
+// Returns the merged rounds and the newer active round choice for the
+// caller to adopt, and whether the sender is missing anything we have.
+function mergeEventData(payload) {
+    const incomingRemoved = payload.removedIds || {};
+    const incomingRounds = payload.rounds || [];
+    removedIds = {
+        teams: mergeRemovedIds(removedIds.teams, incomingRemoved.teams),
+        runLog: mergeRemovedIds(removedIds.runLog, incomingRemoved.runLog),
+        rounds: mergeRemovedIds(removedIds.rounds, incomingRemoved.rounds)
+    };
+
+    teams = mergeRecords(teams, payload.teams, removedIds.teams);
+    runLog = mergeRecords(runLog, payload.runLog, removedIds.runLog)
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    const mergedRounds = mergeRecords(rounds, incomingRounds, removedIds.rounds);
+    const incomingActive = payload.activeRound || { id: null, rev: 0 };
+    const oursIsNewer = isNewerRecord(getActiveRoundChoice(), incomingActive);
+
+    return {
+        rounds: mergedRounds,
+        activeRound: oursIsNewer ? getActiveRoundChoice() : incomingActive,
+        stale: oursIsNewer || hasNewerRecords(teams, payload.teams) || hasNewerRecords(runLog, payload.runLog) ||
+            hasNewerRecords(mergedRounds, incomingRounds) ||
+            ['teams', 'runLog', 'rounds'].some(kind =>
+                Object.keys(removedIds[kind]).length !== Object.keys(incomingRemoved[kind] || {}).length)
+    };
+}
+
+function getActiveRound() {
+    return findRound(rounds, activeRoundId);
+}
+
+// Standings shown on the leaderboard: the active round's, ranked by its
+// rules, or the whole run log ranked by `rules`
+function buildEventLeaderboard(rules) {
+    const round = getActiveRound();
+    return round
+        ? buildRoundStandings(round, rounds, teams, runLog)
+        : buildLeaderboard(teams, runLog, rules);
+}
+
+function findTeam(teamId) {
+    return teams.find(team => team.id === teamId);
+}
+
+// Display name used in selects, tables and toasts
+function getTeamLabel(team) {
+    return team.number ? `#${team.number} ${team.name}` : team.name;
+}
+
+// Add a team to the registry. Returns the team, or throws on invalid input.
+function addTeam({ name, number, school }) {
+    const team = {
+        id: generateId(),
+        name: (name || '').trim(),
+        number: (number || '').toString().trim(),
+        school: (school || '').trim()
+    };
+
+    if (!team.name) {
+        throw new Error('Please enter a team name');
+    }
+
+    if (team.number && teams.some(t => t.number === team.number)) {
+        throw new Error(`Team number ${team.number} is already taken`);
+    }
+
+    teams.push(team);
+    saveTeams();
+    return team;
+}
+
+// Remove a team together with its recorded runs
+function deleteTeam(teamId) {
+    markRemoved('teams', teams.filter(team => team.id === teamId));
+    markRemoved('runLog', runLog.filter(run => run.teamId === teamId));
+    teams = teams.filter(team => team.id !== teamId);
+    runLog = runLog.filter(run => run.teamId !== teamId);
+    saveTeams();
+    saveRunLog();
+}
+
+// Record a computeScore() result against a team, in the active round.
+// Raw inputs and computed scores are stored separately so runs can be re-scored.
+// The audit trail lists the judge actions behind the run (see run-state.js),
+// and the rules fingerprint shows which rule set scored it. Runs judged on
+// the arena board (see arenas.js) keep the name of their arena.
+// Throws if the team has no match to run in a knockout round, or has made
+// its runs in it.
+function recordRun(teamId, result, audit = [], arena = null) {
+    const round = getActiveRound();
+    const placement = round ? { roundId: round.id } : {};
+
+    // Attempts are numbered within the round, after the highest number so
+    // far, so deleting a run never gives two runs the same number
+    const attempt = Math.max(0, ...getRoundRuns(rounds, runLog, getRunRoundId(placement, rounds))
+        .filter(run => run.teamId === teamId)
+        .map(run => run.attempt)) + 1;
+
+    if (round && round.format === 'knockout') {
+        placement.stage = getTeamStage(buildBracket(round, teams, getRoundRuns(rounds, runLog, round.id)), teamId);
+        if (placement.stage === null) {
+            throw new Error(`${getTeamLabel(findTeam(teamId))} has no open match with runs left in ${round.name}`);
+        }
+    }
+
+    const run = {
+        id: generateId(),
+        teamId,
+        attempt,
+        timestamp: new Date().toISOString(),
+        input: { ...result.input },
+        rules: { ...result.rules },
+        rulesHash: getRulesFingerprint(result.rules),
+        result: {
+            finalScore: result.finalScore,
+            components: result.components.map(component => ({ ...component }))
+        },
+        audit: audit.map(entry => ({ ...entry })),
+        ...placement,
+        ...(arena ? { arena } : {})
+    };
+
+    runLog.push(run);
+    saveRunLog();
+    return run;
+}
+
+function deleteRun(runId) {
+    markRemoved('runLog', runLog.filter(run => run.id === runId));
+    runLog = runLog.filter(run => run.id !== runId);
+    saveRunLog();
+}
+
+// Download every recorded attempt as a spreadsheet (see export.js)
+function downloadResultsCsv(rules) {
+    const csv = buildResultsCsv(teams, runLog, rules, rounds);
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `lfr-results-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
+// ===== UI =====
+
+// Fill the main form's team selector with the teams of the active round,
+// keeping the current choice if possible
+function updateTeamSelect() {
+    const select = document.getElementById('team-select');
+    const current = select.value;
+    const round = getActiveRound();
+    const roundTeams = round ? getRoundTeams(round, teams) : teams;
+
+    select.innerHTML = '<option value="">No team (practice run)</option>';
+    roundTeams.forEach(team => {
+        const option = document.createElement('option');
+        option.value = team.id;
+        option.textContent = getTeamLabel(team);
+        select.appendChild(option);
+    });
+
+    select.value = roundTeams.some(team => team.id === current) ? current : '';
+    updateCalculateButtonLabel();
+}
+
+// "Calculate" becomes "Calculate and record" when a team is selected
+function updateCalculateButtonLabel() {
+    const team = findTeam(document.getElementById('team-select').value);
+    document.getElementById('calculate-btn').textContent = team
+        ? `Calculate & Record for ${getTeamLabel(team)}`
+        : 'Calculate Score';
+}
+
+function renderLeaderboard() {
+    const container = document.getElementById('leaderboard-table');
+    const round = getActiveRound();
+
+    // With rounds, the leaderboard follows the active round (see rounds.js)
+    if (round) {
+        container.innerHTML = renderRoundResults(round);
+        return;
+    }
+
+    const rules = { ...DEFAULT_RULES, ...scoringRules };
+    container.innerHTML = renderStandingsTable(buildLeaderboard(teams, runLog, rules), rules);
+}
+
+// Standings table with its ranking caption. Teams ranked within `cutoff`
+// are marked as going through to the next round.
+function renderStandingsTable(leaderboard, rules, cutoff = 0) {
+    if (leaderboard.length === 0) {
+        return '<div class="event-empty">No teams registered yet</div>';
+    }
+
+    const rows = leaderboard.map(entry => {
+        const counted = [...entry.countedRuns]
+            .sort((a, b) => a.attempt - b.attempt)
+            .map(run => `#${run.attempt}`)
+            .join(', ');
+        const qualifies = cutoff > 0 && entry.rank !== null && entry.rank <= cutoff;
+
+        return `
+        <tr class="${entry.rank === 1 ? 'leader' : ''}${qualifies ? ' qualifies' : ''}">
+            <td class="rank-cell">${entry.rank || '–'}</td>
+            <td>${escapeHtml(getTeamLabel(entry.team))}</td>
+            <td class="muted-cell">${escapeHtml(entry.team.school) || '–'}</td>
+            <td class="number-cell">${entry.runs.length}</td>
+            <td class="muted-cell">${counted || '–'}</td>
+            <td class="number-cell score-cell">
+                ${entry.score === null ? '–' : entry.score.toFixed(0)}
+                ${entry.tieBreak ? `<div class="tie-break-note">tie: ${entry.tieBreak.toLowerCase()}</div>` : ''}
+            </td>
+        </tr>`;
+    }).join('');
+
+    return `
+        <div class="event-caption">
+            Ranked by: ${describeRankingPolicy(rules)} · Ties: ${describeTieBreakers(rules)}
+        </div>
+        <table class="event-table">
+            <thead>
+                <tr><th>Rank</th><th>Team</th><th>School</th><th>Runs</th><th>Counted</th><th>Score</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+function renderTeamList() {
+    const container = document.getElementById('team-list');
+
+    if (teams.length === 0) {
+        container.innerHTML = '<div class="event-empty">No teams registered yet</div>';
+        return;
+    }
+
+    const rows = teams.map(team => `
+        <tr>
+            <td>${escapeHtml(team.number) || '–'}</td>
+            <td>${escapeHtml(team.name)}</td>
+            <td class="muted-cell">${escapeHtml(team.school) || '–'}</td>
+            <td class="action-cell"><button class="preset-btn danger" data-delete-team="${team.id}">Delete</button></td>
+        </tr>`).join('');
+
+    container.innerHTML = `
+        <table class="event-table">
+            <thead>
+                <tr><th>No.</th><th>Team</th><th>School</th><th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Stopwatch taps of a recorded run, e.g. "Gate 00:12.34 · Restart 1 00:20.10"
+function describeRunSplits(run) {
+    if (!run.input.splits || run.input.splits.length === 0) {
+        return '';
+    }
+
+    return buildSplitTimeline(run.input, run.rules)
+        .filter(segment => segment.type !== 'finish')
+        .map(segment => `${escapeHtml(segment.label)} ${formatSplitTime(segment.end)}`)
+        .join(' · ');
+}
+
+// Collapsible list of the judge actions behind a recorded run
+function renderRunAudit(run) {
+    if (!run.audit || run.audit.length === 0) {
+        return '';
+    }
+
+    const entries = run.audit.map(entry => `
+                <li><span class="audit-time">${formatSplitTime(entry.elapsedSeconds)}</span> ${escapeHtml(entry.description)}</li>`).join('');
+
+    return `
+            <details class="run-audit">
+                <summary>History (${run.audit.length})</summary>
+                <ol>${entries}</ol>
+            </details>`;
+}
+
+function renderRunLog() {
+    const container = document.getElementById('run-log-list');
+
+    if (runLog.length === 0) {
+        container.innerHTML = '<div class="event-empty">No runs recorded yet</div>';
+        return;
+    }
+
+    const currentHash = getRulesFingerprint(scoringRules);
+
+    // Newest first
+    const rows = [...runLog].reverse().map(run => {
+        const team = findTeam(run.teamId);
+        // Runs from before fingerprints were recorded still have their rules
+        const rulesHash = run.rulesHash || getRulesFingerprint(run.rules);
+        const otherRules = rulesHash !== currentHash;
+        return `
+        <tr>
+            <td class="muted-cell">
+                ${new Date(run.timestamp).toLocaleTimeString()}
+                ${run.arena ? `<div class="run-arena-note">${escapeHtml(run.arena)}</div>` : ''}
+            </td>
+            <td>${team ? escapeHtml(getTeamLabel(team)) : 'Unknown team'}</td>
+            ${rounds.length > 0 ? `<td class="muted-cell">${escapeHtml(describeRunRound(run))}</td>` : ''}
+            <td class="number-cell">${run.attempt}</td>
+            <td class="number-cell score-cell">${run.result.finalScore.toFixed(0)}</td>
+            <td class="rules-hash-cell${otherRules ? ' other-rules' : ''}"
+                title="${otherRules ? 'Scored under different rules than the current ones' : 'Scored under the current rules'}">${escapeHtml(rulesHash)}</td>
+            <td class="muted-cell split-cell">${describeRunSplits(run) || '–'}${renderRunAudit(run)}</td>
+            <td class="action-cell"><button class="preset-btn danger" data-delete-run="${run.id}">Delete</button></td>
+        </tr>`;
+    }).join('');
+
+    container.innerHTML = `
+        <table class="event-table">
+            <thead>
+                <tr><th>Time</th><th>Team</th>${rounds.length > 0 ? '<th>Round</th>' : ''}<th>Attempt</th><th>Score</th><th>Rules</th><th>Splits</th><th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Re-render everything that depends on teams or the run log
+function refreshEventViews() {
+    updateTeamSelect();
+    renderLeaderboard();
+    renderTeamList();
+    renderRunLog();
+    renderRounds();
+    renderAnalytics();
+    renderWhatIf();
+    renderArenaTeamSelects();
+}
+
+// Record the run for the selected team, if any. Called after each calculation.
+function recordRunForSelectedTeam(result, audit = []) {
+    const team = findTeam(document.getElementById('team-select').value);
+    if (!team) {
+        return null;
+    }
+
+    let run;
+    try {
+        run = recordRun(team.id, result, audit);
+    } catch (error) {
+        showToast(`Not recorded: ${escapeHtml(error.message)}`, 'error');
+        return null;
+    }
+    refreshEventViews();
+    showToast(`Recorded attempt ${run.attempt} for ${escapeHtml(getTeamLabel(team))}`, 'success');
+    return run;
+}
+
+// ===== INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', function() {
+    const eventModal = document.getElementById('event-modal');
+
+    // The display page only uses the data functions above
+    if (!eventModal) {
+        return;
+    }
+
+    const eventIcon = document.getElementById('event-icon');
+    const closeEventModalBtn = document.getElementById('close-event-modal');
+    const teamSelect = document.getElementById('team-select');
+    const addTeamBtn = document.getElementById('add-team-btn');
+    const teamNumberInput = document.getElementById('team-number-input');
+    const teamNameInput = document.getElementById('team-name-input');
+    const teamSchoolInput = document.getElementById('team-school-input');
+
+    // Open modal
+    eventIcon.addEventListener('click', function() {
+        refreshEventViews();
+        eventModal.classList.add('active');
+    });
+
+    // Close modal
+    closeEventModalBtn.addEventListener('click', function() {
+        eventModal.classList.remove('active');
+    });
+
+    // Close modal when clicking outside
+    eventModal.addEventListener('click', function(e) {
+        if (e.target === eventModal) {
+            eventModal.classList.remove('active');
+        }
+    });
+
+    // Tabs
+    document.querySelectorAll('.event-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            document.querySelectorAll('.event-tab').forEach(t => t.classList.toggle('active', t === tab));
+            document.querySelectorAll('.event-panel').forEach(panel => {
+                panel.classList.toggle('hidden', panel.id !== `event-panel-${tab.dataset.tab}`);
+            });
+        });
+    });
+
+    // Add team
+    addTeamBtn.addEventListener('click', function() {
+        try {
+            const team = addTeam({
+                name: teamNameInput.value,
+                number: teamNumberInput.value,
+                school: teamSchoolInput.value
+            });
+            teamNumberInput.value = '';
+            teamNameInput.value = '';
+            teamSchoolInput.value = '';
+            teamNumberInput.focus();
+            refreshEventViews();
+            showToast(`Team "${escapeHtml(getTeamLabel(team))}" added`, 'success');
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+
+    // Enter in any team field adds the team
+    [teamNumberInput, teamNameInput, teamSchoolInput].forEach(input => {
+        input.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter') {
+                addTeamBtn.click();
+            }
+        });
+    });
+
+    // Delete team / run (delegated)
+    eventModal.addEventListener('click', function(e) {
+        const deleteTeamBtn = e.target.closest('[data-delete-team]');
+        const deleteRunBtn = e.target.closest('[data-delete-run]');
+
+        if (deleteTeamBtn) {
+            const team = findTeam(deleteTeamBtn.dataset.deleteTeam);
+            if (team && confirm(`Delete team "${getTeamLabel(team)}" and all of its runs?`)) {
+                deleteTeam(team.id);
+                refreshEventViews();
+                showToast(`Team "${escapeHtml(getTeamLabel(team))}" deleted`, 'success');
+            }
+        } else if (deleteRunBtn) {
+            if (confirm('Delete this recorded run?')) {
+                deleteRun(deleteRunBtn.dataset.deleteRun);
+                refreshEventViews();
+                showToast('Run deleted', 'success');
+            }
+        }
+    });
+
+    document.getElementById('export-results-csv').addEventListener('click', function() {
+        if (runLog.length === 0) {
+            showToast('No runs recorded yet', 'error');
+            return;
+        }
+        downloadResultsCsv({ ...DEFAULT_RULES, ...scoringRules });
+        showToast('Results exported', 'success');
+    });
+
+    teamSelect.addEventListener('change', updateCalculateButtonLabel);
+
+    // Teams or runs changed on another tab or device. Anything the sender
+    // hasn't seen yet goes back to it.
+    subscribeSync('eventData', function(payload) {
+        const merged = mergeEventData(payload);
+        localStorage.setItem('lfrTeams', JSON.stringify(teams));
+        localStorage.setItem('lfrRunLog', JSON.stringify(runLog));
+        localStorage.setItem('lfrRemovedIds', JSON.stringify(removedIds));
+        receiveRounds(merged.rounds, merged.activeRound);
+        refreshEventViews();
+        if (merged.stale) {
+            publishEventData();
+        }
+    });
+
+    subscribeSync('hello', publishEventData);
+
+    // Load event data on page load
+    loadEventData();
+    refreshEventViews();
+});
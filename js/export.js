@@ -0,0 +1,162 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - RESULT EXPORT
+ * ========================================================================
+ *
+ * DOM-free builders for result sheets:
+ * - CSV: one row per recorded attempt with every breakdown component,
+ *   the team's rank and ranking score, and the fingerprint of the rules
+ *   it was scored with (and its round, when the event has rounds).
+ *   Written with a UTF-8 byte order mark and CRLF line endings so Excel,
+ *   Numbers and LibreOffice open it directly (and can save it as XLSX).
+ * - Report data: standings plus per-team attempts for report.html, the
+ *   printable report
+ *
+ * Like ranking.js, this file works both as a page script and as a
+ * CommonJS module from Node.
+ *
+ * ====================================================================== */
+
+// ranking.js is a global in the page and a sibling module in Node
+function getRankingModule() {
+    return typeof buildLeaderboard === 'function'
+        ? { buildLeaderboard }
+        : require('./ranking.js');
+}
+
+// scoring-engine.js likewise, for the fingerprint of older runs' rules
+function getScoringEngineModule() {
+    return typeof getRulesFingerprint === 'function'
+        ? { getRulesFingerprint }
+        : require('./scoring-engine.js');
+}
+
+// tournament.js likewise, for events run in rounds
+function getTournamentModule() {
+    return typeof buildBracket === 'function'
+        ? { getRoundRuns, getRoundStageName }
+        : require('./tournament.js');
+}
+
+// Points without float noise, e.g. 287.6 rather than 287.59999999999997
+function roundExportNumber(value) {
+    return Number(value.toFixed(2));
+}
+
+// Quote a CSV field when needed. Text that a spreadsheet would run as a
+// formula (=, +, -, @) is prefixed with an apostrophe.
+function toCsvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'number') {
+        return String(value);
+    }
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    return '\uFEFF' + rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Every component that appears in the runs, in first-seen order
+// (S, E, C, R, B, T, then custom components, formula and disqualification)
+function getComponentColumns(runs) {
+    const columns = [];
+    runs.forEach(run => {
+        run.result.components.forEach(component => {
+            if (!columns.some(column => column.code === component.code)) {
+                columns.push({ code: component.code, label: component.label });
+            }
+        });
+    });
+    return columns;
+}
+
+// Standings and each team's attempts, in ranking order. Runs whose team
+// has been deleted on another device are collected under `unassigned`.
+function buildResultsReportData(teams, runLog, rules) {
+    const leaderboard = getRankingModule().buildLeaderboard(teams, runLog, rules);
+
+    const entries = leaderboard.map(entry => ({
+        ...entry,
+        runs: [...entry.runs].sort((a, b) => a.attempt - b.attempt),
+        counted: new Set(entry.countedRuns.map(run => run.id))
+    }));
+
+    return {
+        entries,
+        unassigned: runLog.filter(run => !teams.some(team => team.id === run.teamId)),
+        columns: getComponentColumns(runLog)
+    };
+}
+
+// One row per attempt, ordered by team rank then attempt number. With
+// rounds, each round's attempts follow in round order, ranked by the
+// round's own rules.
+function buildResultsCsv(teams, runLog, rules, rounds = []) {
+    const tournament = getTournamentModule();
+    const columns = getComponentColumns(runLog);
+    const sections = rounds.length > 0
+        ? rounds.map(round => ({
+            round,
+            data: buildResultsReportData(teams, tournament.getRoundRuns(rounds, runLog, round.id), round.rules)
+        }))
+        : [{ round: null, data: buildResultsReportData(teams, runLog, rules) }];
+
+    const header = [
+        ...(rounds.length > 0 ? ['Round'] : []),
+        'Rank', 'Team No.', 'Team', 'School', 'Attempt', 'Recorded', 'Counted',
+        'Left Start', 'Reached End', 'Checkpoints', 'Restarts', 'Elapsed (s)',
+        ...columns.map(column => `${column.label} (${column.code})`),
+        'Score', 'Ranking Score', 'Rules Hash'
+    ];
+
+    const row = (run, entry, round) => {
+        const points = Object.fromEntries(run.result.components.map(component => [component.code, component.points]));
+        const roundCell = round && run.stage !== undefined
+            ? `${round.name} - ${tournament.getRoundStageName(round, run.stage)}`
+            : round && round.name;
+        return [
+            ...(round ? [roundCell] : []),
+            entry && entry.rank,
+            entry ? entry.team.number : '',
+            entry ? entry.team.name : 'Unknown team',
+            entry ? entry.team.school : '',
+            run.attempt,
+            run.timestamp,
+            entry && entry.counted.has(run.id) ? 'yes' : 'no',
+            run.input.leftStart ? 'yes' : 'no',
+            run.input.reachedEnd ? 'yes' : 'no',
+            run.input.checkpoints,
+            run.input.restarts,
+            roundExportNumber(run.input.elapsedSeconds),
+            ...columns.map(column => column.code in points ? roundExportNumber(points[column.code]) : null),
+            roundExportNumber(run.result.finalScore),
+            entry && entry.score !== null ? roundExportNumber(entry.score) : null,
+            run.rulesHash || getScoringEngineModule().getRulesFingerprint(run.rules)
+        ];
+    };
+
+    return toCsv([
+        header,
+        ...sections.flatMap(({ round, data }) => [
+            ...data.entries.flatMap(entry => entry.runs.map(run => row(run, entry, round))),
+            ...data.unassigned.map(run => row(run, null, round))
+        ])
+    ]);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        toCsvCell,
+        toCsv,
+        getComponentColumns,
+        buildResultsReportData,
+        buildResultsCsv
+    };
+}
@@ -0,0 +1,308 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - FORMULA EXPRESSIONS
+ * ========================================================================
+ *
+ * A small, sandboxed expression language for presets whose rulebooks the
+ * fixed S + E + C + R + B + T sum can't express. Formulas are tokenised
+ * and parsed into a syntax tree and evaluated against a plain object of
+ * named variables; nothing is ever passed to eval() or Function().
+ *
+ * SYNTAX:
+ * - Numbers, variables, true / false (1 / 0)
+ * - Arithmetic: + - * / % ^ and parentheses
+ * - Comparison: < <= > >= == !=   Logic: && || !
+ * - Conditional: test ? a : b
+ * - Functions: min, max, abs, round, floor, ceil, clamp(x, lo, hi), if(test, a, b)
+ *
+ * Example: reachedEnd ? min(score * 1.1, 2000) : score - T
+ *
+ * ====================================================================== */
+
+// Raised for syntax and evaluation errors; position is a 1-based column
+class FormulaError extends Error {
+    constructor(message, position) {
+        super(position ? `${message} at position ${position}` : message);
+        this.name = 'FormulaError';
+        this.position = position;
+    }
+}
+
+// Callable functions and their accepted argument counts
+const FORMULA_FUNCTIONS = {
+    min: { minArgs: 1, maxArgs: Infinity, fn: (...args) => Math.min(...args) },
+    max: { minArgs: 1, maxArgs: Infinity, fn: (...args) => Math.max(...args) },
+    abs: { minArgs: 1, maxArgs: 1, fn: x => Math.abs(x) },
+    round: { minArgs: 1, maxArgs: 1, fn: x => Math.round(x) },
+    floor: { minArgs: 1, maxArgs: 1, fn: x => Math.floor(x) },
+    ceil: { minArgs: 1, maxArgs: 1, fn: x => Math.ceil(x) },
+    clamp: { minArgs: 3, maxArgs: 3, fn: (x, lo, hi) => Math.min(Math.max(x, lo), hi) },
+    if: { minArgs: 3, maxArgs: 3, fn: (test, a, b) => (test ? a : b) }
+};
+
+// A function's definition, or null. Own properties only, so names like
+// "constructor" or "toString" aren't found on Object.prototype.
+function getFormulaFunction(name) {
+    return Object.prototype.hasOwnProperty.call(FORMULA_FUNCTIONS, name) ? FORMULA_FUNCTIONS[name] : null;
+}
+
+const FORMULA_OPERATORS = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '^', '<', '>', '!', '?', ':', '(', ')', ','];
+
+// Split a formula into number, identifier and operator tokens
+function tokenizeFormula(source) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < source.length) {
+        const char = source[index];
+
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+
+        const rest = source.slice(index);
+        const number = rest.match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+        if (number) {
+            tokens.push({ type: 'number', value: Number.parseFloat(number[0]), position: index + 1 });
+            index += number[0].length;
+            continue;
+        }
+
+        const identifier = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        if (identifier) {
+            tokens.push({ type: 'identifier', value: identifier[0], position: index + 1 });
+            index += identifier[0].length;
+            continue;
+        }
+
+        const operator = FORMULA_OPERATORS.find(op => rest.startsWith(op));
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator, position: index + 1 });
+            index += operator.length;
+            continue;
+        }
+
+        throw new FormulaError(`Unexpected character "${char}"`, index + 1);
+    }
+
+    tokens.push({ type: 'end', value: '', position: source.length + 1 });
+    return tokens;
+}
+
+// Recursive-descent parser. Returns a syntax tree of plain objects.
+function parseFormula(source) {
+    if (typeof source !== 'string' || !source.trim()) {
+        throw new FormulaError('Formula is empty');
+    }
+
+    const tokens = tokenizeFormula(source);
+    let current = 0;
+
+    const peek = () => tokens[current];
+    const isOperator = (...ops) => peek().type === 'operator' && ops.includes(peek().value);
+    const next = () => tokens[current++];
+
+    function expect(op) {
+        const token = next();
+        if (token.type !== 'operator' || token.value !== op) {
+            throw new FormulaError(`Expected "${op}" but found ${describeToken(token)}`, token.position);
+        }
+        return token;
+    }
+
+    // Left-associative binary level
+    function binaryLevel(operators, parseOperand) {
+        return function() {
+            let left = parseOperand();
+            while (isOperator(...operators)) {
+                const op = next().value;
+                left = { type: 'binary', op, left, right: parseOperand() };
+            }
+            return left;
+        };
+    }
+
+    function parsePrimary() {
+        const token = next();
+
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+
+        if (token.type === 'identifier') {
+            if (token.value === 'true' || token.value === 'false') {
+                return { type: 'number', value: token.value === 'true' ? 1 : 0 };
+            }
+
+            if (isOperator('(')) {
+                const definition = getFormulaFunction(token.value);
+                if (!definition) {
+                    throw new FormulaError(`Unknown function "${token.value}"`, token.position);
+                }
+
+                next();
+                const args = [];
+                if (!isOperator(')')) {
+                    args.push(parseExpression());
+                    while (isOperator(',')) {
+                        next();
+                        args.push(parseExpression());
+                    }
+                }
+                expect(')');
+
+                if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+                    throw new FormulaError(`Wrong number of arguments for ${token.value}()`, token.position);
+                }
+                return { type: 'call', name: token.value, args };
+            }
+
+            return { type: 'variable', name: token.value, position: token.position };
+        }
+
+        if (token.type === 'operator' && token.value === '(') {
+            const expression = parseExpression();
+            expect(')');
+            return expression;
+        }
+
+        throw new FormulaError(`Unexpected ${describeToken(token)}`, token.position);
+    }
+
+    // Exponent binds tighter than unary minus on its left, and is right-associative
+    function parsePower() {
+        const base = parsePrimary();
+        if (isOperator('^')) {
+            next();
+            return { type: 'binary', op: '^', left: base, right: parseUnary() };
+        }
+        return base;
+    }
+
+    function parseUnary() {
+        if (isOperator('-', '+', '!')) {
+            const op = next().value;
+            return { type: 'unary', op, argument: parseUnary() };
+        }
+        return parsePower();
+    }
+
+    const parseMultiplicative = binaryLevel(['*', '/', '%'], parseUnary);
+    const parseAdditive = binaryLevel(['+', '-'], parseMultiplicative);
+    const parseComparison = binaryLevel(['<', '<=', '>', '>='], parseAdditive);
+    const parseEquality = binaryLevel(['==', '!='], parseComparison);
+    const parseAnd = binaryLevel(['&&'], parseEquality);
+    const parseOr = binaryLevel(['||'], parseAnd);
+
+    function parseExpression() {
+        const test = parseOr();
+        if (isOperator('?')) {
+            next();
+            const consequent = parseExpression();
+            expect(':');
+            return { type: 'conditional', test, consequent, alternate: parseExpression() };
+        }
+        return test;
+    }
+
+    const tree = parseExpression();
+    if (peek().type !== 'end') {
+        throw new FormulaError(`Unexpected ${describeToken(peek())}`, peek().position);
+    }
+    return tree;
+}
+
+function describeToken(token) {
+    return token.type === 'end' ? 'end of formula' : `"${token.value}"`;
+}
+
+// Names of all variables a syntax tree refers to
+function listFormulaVariables(tree) {
+    switch (tree.type) {
+        case 'variable':
+            return [tree.name];
+        case 'unary':
+            return listFormulaVariables(tree.argument);
+        case 'binary':
+            return [...listFormulaVariables(tree.left), ...listFormulaVariables(tree.right)];
+        case 'conditional':
+            return [tree.test, tree.consequent, tree.alternate].flatMap(listFormulaVariables);
+        case 'call':
+            return tree.args.flatMap(listFormulaVariables);
+        default:
+            return [];
+    }
+}
+
+// Evaluate a syntax tree against a variables object
+function evaluateFormulaTree(tree, variables) {
+    const evaluate = node => evaluateFormulaTree(node, variables);
+
+    switch (tree.type) {
+        case 'number':
+            return tree.value;
+        case 'variable':
+            if (!Object.prototype.hasOwnProperty.call(variables, tree.name)) {
+                throw new FormulaError(`Unknown variable "${tree.name}"`, tree.position);
+            }
+            return Number(variables[tree.name]);
+        case 'unary': {
+            const value = evaluate(tree.argument);
+            if (tree.op === '!') return value ? 0 : 1;
+            return tree.op === '-' ? -value : value;
+        }
+        case 'binary': {
+            const left = evaluate(tree.left);
+            const right = evaluate(tree.right);
+            switch (tree.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '%': return left % right;
+                case '^': return left ** right;
+                case '<': return left < right ? 1 : 0;
+                case '<=': return left <= right ? 1 : 0;
+                case '>': return left > right ? 1 : 0;
+                case '>=': return left >= right ? 1 : 0;
+                case '==': return left === right ? 1 : 0;
+                case '!=': return left !== right ? 1 : 0;
+                case '&&': return left && right ? 1 : 0;
+                case '||': return left || right ? 1 : 0;
+            }
+            throw new FormulaError(`Unknown operator "${tree.op}"`);
+        }
+        case 'conditional':
+            return evaluate(tree.test) ? evaluate(tree.consequent) : evaluate(tree.alternate);
+        case 'call': {
+            const definition = getFormulaFunction(tree.name);
+            if (!definition) {
+                throw new FormulaError(`Unknown function "${tree.name}"`, tree.position);
+            }
+            return definition.fn(...tree.args.map(evaluate));
+        }
+    }
+    throw new FormulaError(`Unknown expression "${tree.type}"`);
+}
+
+// Parse and evaluate a formula string. Throws FormulaError on bad syntax,
+// unknown variables or a non-finite result (e.g. division by zero).
+function evaluateFormula(source, variables) {
+    const result = evaluateFormulaTree(parseFormula(source), variables);
+    if (!Number.isFinite(result)) {
+        throw new FormulaError('Formula did not produce a finite number');
+    }
+    return result;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FormulaError,
+        FORMULA_FUNCTIONS,
+        tokenizeFormula,
+        parseFormula,
+        listFormulaVariables,
+        evaluateFormulaTree,
+        evaluateFormula
+    };
+}
@@ -0,0 +1,174 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - JUDGE LOCK
+ * ========================================================================
+ *
+ * FEATURES:
+ * - Lock: An organiser freezes the saved rule set behind a PIN. While
+ *   locked, Settings asks for the PIN, share links are refused and the
+ *   time allotted can't be changed from the calculator.
+ * - Fingerprint: Locked devices show the rules fingerprint in the header
+ *   (see getRulesFingerprint in scoring-engine.js), so judges can check
+ *   at a glance that every device scores with the same rules. It is
+ *   flagged if the rules change while locked.
+ *
+ * The lock is per device and kept in localStorage as a salted hash of the
+ * PIN. It stops rules being changed by accident or in passing, not by
+ * someone prepared to clear the browser's site data.
+ *
+ * ====================================================================== */
+
+const JUDGE_LOCK_KEY = 'lfrJudgeLock';
+const JUDGE_PIN_MIN_LENGTH = 4;
+
+// { pinHash, salt, rulesHash, lockedAt } while locked, otherwise null
+let judgeLock = null;
+
+// ===== DATA =====
+
+function loadJudgeLock() {
+    try {
+        judgeLock = JSON.parse(localStorage.getItem(JUDGE_LOCK_KEY));
+    } catch (e) {
+        console.error('Error loading judge lock:', e);
+        judgeLock = null;
+    }
+}
+
+function isJudgeLocked() {
+    return Boolean(judgeLock);
+}
+
+function hashJudgePin(pin, salt) {
+    return hashText(`${salt}:${pin}`).toString(16);
+}
+
+// Problem with a new PIN as a message, or null
+function validateJudgePin(pin, repeated) {
+    if (!/^\d+$/.test(pin) || pin.length < JUDGE_PIN_MIN_LENGTH) {
+        return `PIN must be at least ${JUDGE_PIN_MIN_LENGTH} digits`;
+    }
+    if (pin !== repeated) {
+        return 'PINs do not match';
+    }
+    return null;
+}
+
+function lockJudgeSettings(pin) {
+    const salt = generateId();
+    judgeLock = {
+        pinHash: hashJudgePin(pin, salt),
+        salt,
+        rulesHash: getRulesFingerprint(scoringRules),
+        lockedAt: new Date().toISOString()
+    };
+    localStorage.setItem(JUDGE_LOCK_KEY, JSON.stringify(judgeLock));
+}
+
+// Remove the lock if the PIN is right. Returns whether it was.
+function unlockJudgeSettings(pin) {
+    if (!judgeLock || hashJudgePin(pin, judgeLock.salt) !== judgeLock.pinHash) {
+        return false;
+    }
+    judgeLock = null;
+    localStorage.removeItem(JUDGE_LOCK_KEY);
+    return true;
+}
+
+// ===== UI =====
+
+// Header badge, calculator time input and the lock section in Settings
+function renderJudgeLock() {
+    const fingerprint = getRulesFingerprint(scoringRules);
+    const locked = isJudgeLocked();
+    const changed = locked && judgeLock.rulesHash !== fingerprint;
+    const badge = document.getElementById('judge-lock-badge');
+    const totalTimeInput = document.getElementById('total-time');
+
+    badge.classList.toggle('hidden', !locked);
+    badge.classList.toggle('changed', changed);
+    badge.title = changed
+        ? `Rules changed since locking (locked with ${judgeLock.rulesHash})`
+        : 'Rules locked. Compare this fingerprint between devices.';
+    document.getElementById('judge-lock-hash').textContent = fingerprint;
+    document.getElementById('settings-rules-hash').textContent = fingerprint;
+
+    totalTimeInput.readOnly = locked;
+    if (locked) {
+        totalTimeInput.value = scoringRules.totalTime;
+    }
+}
+
+function openUnlockModal() {
+    document.getElementById('unlock-rules-hash').textContent = getRulesFingerprint(scoringRules);
+    document.getElementById('unlock-pin').value = '';
+    document.getElementById('unlock-error').classList.remove('active');
+    document.getElementById('unlock-modal').classList.add('active');
+    document.getElementById('unlock-pin').focus();
+}
+
+// ===== INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', function() {
+    const unlockModal = document.getElementById('unlock-modal');
+    const unlockPinInput = document.getElementById('unlock-pin');
+    const lockPinInput = document.getElementById('lock-pin');
+    const lockPinRepeatInput = document.getElementById('lock-pin-repeat');
+
+    function closeUnlockModal() {
+        unlockModal.classList.remove('active');
+    }
+
+    function submitUnlock() {
+        if (!unlockJudgeSettings(unlockPinInput.value)) {
+            const error = document.getElementById('unlock-error');
+            error.textContent = 'Wrong PIN';
+            error.classList.add('active');
+            unlockPinInput.select();
+            return;
+        }
+        closeUnlockModal();
+        renderJudgeLock();
+        showToast('Settings unlocked', 'success');
+        document.getElementById('settings-icon').click();
+    }
+
+    document.getElementById('lock-settings-btn').addEventListener('click', function() {
+        const error = validateJudgePin(lockPinInput.value, lockPinRepeatInput.value);
+        if (error) {
+            showToast(error, 'error');
+            return;
+        }
+
+        lockJudgeSettings(lockPinInput.value);
+        lockPinInput.value = '';
+        lockPinRepeatInput.value = '';
+        renderJudgeLock();
+        document.getElementById('settings-modal').classList.remove('active');
+        showToast(`Settings locked · rules ${judgeLock.rulesHash}`, 'success');
+    });
+
+    document.getElementById('judge-lock-badge').addEventListener('click', openUnlockModal);
+    document.getElementById('confirm-unlock').addEventListener('click', submitUnlock);
+    unlockPinInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            submitUnlock();
+        }
+    });
+
+    document.getElementById('cancel-unlock').addEventListener('click', closeUnlockModal);
+    document.getElementById('close-unlock-modal').addEventListener('click', closeUnlockModal);
+    unlockModal.addEventListener('click', function(e) {
+        if (e.target === unlockModal) {
+            closeUnlockModal();
+        }
+    });
+
+    // Locked or unlocked in another tab
+    window.addEventListener('storage', function(e) {
+        if (e.key === JUDGE_LOCK_KEY) {
+            loadJudgeLock();
+            renderJudgeLock();
+        }
+    });
+
+    loadJudgeLock();
+});
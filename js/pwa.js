@@ -0,0 +1,92 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - OFFLINE APP
+ * ========================================================================
+ *
+ * Registers the service worker (sw.js) that keeps every page usable
+ * offline and lets browsers install the calculator as an app
+ * (manifest.webmanifest). When a new version has been downloaded, a
+ * banner offers to reload into it; saved rules, teams, runs and the run
+ * in progress are all in localStorage, so nothing is lost.
+ *
+ * Loaded on every page and builds its own banner, so it doesn't depend
+ * on app.js.
+ *
+ * ====================================================================== */
+
+// Look for a new version this often while a page stays open (ms)
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Set when the user accepts an update, so only then does a new worker
+// taking over reload the page (not on the very first install)
+let updateAccepted = false;
+
+function showUpdateBanner(worker) {
+    if (document.getElementById('update-banner')) {
+        return;
+    }
+
+    const banner = document.createElement('div');
+    banner.className = 'update-banner';
+    banner.id = 'update-banner';
+    banner.setAttribute('role', 'status');
+
+    const text = document.createElement('span');
+    text.textContent = 'A new version of the calculator is available.';
+
+    const reloadBtn = document.createElement('button');
+    reloadBtn.className = 'update-banner-btn';
+    reloadBtn.textContent = 'Reload';
+    reloadBtn.addEventListener('click', function() {
+        updateAccepted = true;
+        reloadBtn.disabled = true;
+        worker.postMessage('skipWaiting');
+    });
+
+    const laterBtn = document.createElement('button');
+    laterBtn.className = 'update-banner-btn secondary';
+    laterBtn.textContent = 'Later';
+    laterBtn.addEventListener('click', () => banner.remove());
+
+    banner.append(text, reloadBtn, laterBtn);
+    document.body.appendChild(banner);
+}
+
+// Offer the update once a new worker has installed next to the current one
+function watchForUpdates(registration) {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', function() {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', function() {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdateBanner(worker);
+            }
+        });
+    });
+
+    // Pages stay open for a whole event day
+    setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+}
+
+function registerServiceWorker() {
+    // Service workers need http(s); opened from a file the app simply stays online-only
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+        return;
+    }
+
+    navigator.serviceWorker.addEventListener('controllerchange', function() {
+        if (updateAccepted) {
+            updateAccepted = false;
+            location.reload();
+        }
+    });
+
+    navigator.serviceWorker.register('sw.js')
+        .then(watchForUpdates)
+        .catch(error => console.error('Service worker registration failed:', error));
+}
+
+// ===== INITIALIZATION =====
+window.addEventListener('load', registerServiceWorker);
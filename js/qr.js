@@ -0,0 +1,437 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - QR CODE
+ * ========================================================================
+ *
+ * Self-contained QR code generator (ISO/IEC 18004, byte mode, versions
+ * 1-40) so share links can be shown as a code without sending them to an
+ * outside service.
+ *
+ *   const qr = createQrCode('https://...', 'M');
+ *   qr.size, qr.modules[y][x]   (true = dark)
+ *   renderQrSvg(qr)            (SVG markup with a quiet zone)
+ *
+ * Like scoring-engine.js, this file works both as a page script and as a
+ * CommonJS module from Node.
+ *
+ * ====================================================================== */
+
+// Error correction levels: share of the code that can be damaged, and the
+// two format bits for each
+const QR_ERROR_CORRECTION = {
+    L: { index: 0, formatBits: 1 },   // ~7%
+    M: { index: 1, formatBits: 0 },   // ~15%
+    Q: { index: 2, formatBits: 3 },   // ~25%
+    H: { index: 3, formatBits: 2 }    // ~30%
+};
+
+// Per level (L, M, Q, H) and version (index 1-40): error correction
+// codewords per block, and number of blocks
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const QR_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// ===== REED-SOLOMON (GF(256), polynomial 0x11D) =====
+
+function qrMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+// Generator polynomial coefficients for the given number of ECC codewords
+function qrReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = qrMultiply(result[j], root);
+            if (j + 1 < result.length) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = qrMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function qrReedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= qrMultiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+// ===== CAPACITY =====
+
+// Modules available for data and error correction after the function patterns
+function qrRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+    return result;
+}
+
+function qrDataCodewords(version, level) {
+    return Math.floor(qrRawDataModules(version) / 8) -
+        QR_ECC_CODEWORDS_PER_BLOCK[level.index][version] * QR_ERROR_CORRECTION_BLOCKS[level.index][version];
+}
+
+// Centre coordinates of the alignment patterns
+function qrAlignmentPositions(version) {
+    if (version === 1) {
+        return [];
+    }
+
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = version * 4 + 10; result.length < count; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+}
+
+// ===== ENCODING =====
+
+// Data codewords: byte mode header, the text as UTF-8, terminator and padding
+function qrEncodeData(bytes, version, level) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    append(0b0100, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacity = qrDataCodewords(version, level) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+// Split into blocks, add each block's error correction and interleave
+function qrAddErrorCorrection(data, version, level) {
+    const blockCount = QR_ERROR_CORRECTION_BLOCKS[level.index][version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[level.index][version];
+    const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = qrReedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+        offset += block.length;
+        const ecc = qrReedSolomonRemainder(block, divisor);
+        if (i < shortBlocks) {
+            block.push(0);
+        }
+        blocks.push([...block, ...ecc]);
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Skip the padding byte added to short blocks
+            if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+// ===== MATRIX =====
+
+function createQrMatrix(version) {
+    const size = version * 4 + 17;
+    const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+    const matrix = { version, size, modules: grid(), reserved: grid() };
+
+    const set = (x, y, dark) => {
+        matrix.modules[y][x] = dark;
+        matrix.reserved[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    });
+
+    // Alignment patterns, except where they would overlap a finder
+    const positions = qrAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+        positions.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+                return;
+            }
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Version information (versions 7+)
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    // Reserve the format areas; drawQrFormat() fills them in
+    drawQrFormat(matrix, QR_ERROR_CORRECTION.M, 0);
+    return matrix;
+}
+
+// Error correction level and mask number, in both copies, plus the dark module
+function drawQrFormat(matrix, level, mask) {
+    const { size } = matrix;
+    const data = (level.formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+    const set = (x, y, dark) => {
+        matrix.modules[y][x] = dark;
+        matrix.reserved[y][x] = true;
+    };
+
+    for (let i = 0; i <= 5; i++) {
+        set(8, i, bit(i));
+    }
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+        set(14 - i, 8, bit(i));
+    }
+
+    for (let i = 0; i < 8; i++) {
+        set(size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+        set(8, size - 15 + i, bit(i));
+    }
+    set(8, size - 8, true);
+}
+
+// Place codeword bits in the zigzag order, two columns at a time from the right
+function drawQrCodewords(matrix, codewords) {
+    const { size } = matrix;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) {
+            right = 5;   // skip the vertical timing pattern
+        }
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!matrix.reserved[y][x] && i < codewords.length * 8) {
+                    matrix.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+// XOR a mask over the data area; applying it twice undoes it
+function applyQrMask(matrix, mask) {
+    for (let y = 0; y < matrix.size; y++) {
+        for (let x = 0; x < matrix.size; x++) {
+            if (!matrix.reserved[y][x] && QR_MASKS[mask](x, y)) {
+                matrix.modules[y][x] = !matrix.modules[y][x];
+            }
+        }
+    }
+}
+
+// Penalty score from the standard's four rules; the lowest-scoring mask is used
+function scoreQrMatrix(matrix) {
+    const { size, modules } = matrix;
+    const finderLike = [
+        [true, false, true, true, true, false, true, false, false, false, false],
+        [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+    const lines = [
+        ...modules,
+        ...modules.map((_, x) => modules.map(row => row[x]))
+    ];
+    let score = 0;
+
+    lines.forEach(line => {
+        // Runs of five or more modules of one colour
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                if (run >= 5) {
+                    score += run - 2;
+                }
+                run = 1;
+            }
+        }
+
+        // Patterns that look like a finder
+        for (let i = 0; i + 11 <= size; i++) {
+            if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === dark))) {
+                score += 40;
+            }
+        }
+    });
+
+    // 2x2 blocks of one colour
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const dark = modules[y][x];
+            if (modules[y][x + 1] === dark && modules[y + 1][x] === dark && modules[y + 1][x + 1] === dark) {
+                score += 3;
+            }
+        }
+    }
+
+    // Balance of dark and light modules
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return score;
+}
+
+// Encode text in the smallest version that fits at the given level.
+// Throws if the text is too long for any version.
+function createQrCode(text, levelName = 'M') {
+    const level = QR_ERROR_CORRECTION[levelName];
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    let version = 1;
+    while (4 + (version < 10 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(version, level) * 8) {
+        if (++version > 40) {
+            throw new Error('Text is too long for a QR code');
+        }
+    }
+
+    const matrix = createQrMatrix(version);
+    drawQrCodewords(matrix, qrAddErrorCorrection(qrEncodeData(bytes, version, level), version, level));
+
+    let best = { mask: 0, score: Infinity };
+    for (let mask = 0; mask < QR_MASKS.length; mask++) {
+        applyQrMask(matrix, mask);
+        drawQrFormat(matrix, level, mask);
+        const score = scoreQrMatrix(matrix);
+        if (score < best.score) {
+            best = { mask, score };
+        }
+        applyQrMask(matrix, mask);
+    }
+
+    applyQrMask(matrix, best.mask);
+    drawQrFormat(matrix, level, best.mask);
+
+    return { version, size: matrix.size, mask: best.mask, modules: matrix.modules };
+}
+
+// SVG markup for a QR code, one path for all dark modules, with a quiet
+// zone of `border` modules. Scales to any size without blurring.
+function renderQrSvg(qr, border = 4) {
+    const dimension = qr.size + border * 2;
+    let path = '';
+    qr.modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) {
+                path += `M${x + border},${y + border}h1v1h-1z`;
+            }
+        });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">` +
+        `<rect width="100%" height="100%" fill="#ffffff"/><path d="${path}" fill="#000000"/></svg>`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QR_ERROR_CORRECTION,
+        createQrCode,
+        renderQrSvg
+    };
+}
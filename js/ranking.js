@@ -0,0 +1,208 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - RANKING
+ * ========================================================================
+ *
+ * DOM-free helpers that turn the recorded run log into standings.
+ * Like scoring-engine.js, this file works both as a page script and as
+ * a CommonJS module from Node.
+ *
+ * ====================================================================== */
+
+// How a team's attempts combine into its ranking score
+const RANKING_POLICIES = {
+    best: 'Best attempt',
+    sum: 'Sum of all attempts',
+    average: 'Average of all attempts',
+    bestN: 'Sum of best N attempts'
+};
+
+// Tie-breakers applied in the order listed in the rules when scores are equal.
+// Each compares two ranking stats objects; a negative result ranks `a` first.
+const TIE_BREAKERS = {
+    fewerRestarts: {
+        label: 'Fewer restarts',
+        compare: (a, b) => a.restarts - b.restarts
+    },
+    moreCheckpoints: {
+        label: 'More checkpoints',
+        compare: (a, b) => b.checkpoints - a.checkpoints
+    },
+    lowerElapsed: {
+        label: 'Lower elapsed time',
+        compare: (a, b) => a.elapsedSeconds - b.elapsedSeconds
+    },
+    earlierAttempt: {
+        label: 'Earlier attempt',
+        compare: (a, b) => a.completedAt - b.completedAt
+    }
+};
+
+// Human-readable description of the active policy, e.g. "Sum of best 2 attempts"
+function describeRankingPolicy(rules) {
+    if (rules.rankingPolicy === 'bestN') {
+        return `Sum of best ${rules.rankingCount} attempts`;
+    }
+    return RANKING_POLICIES[rules.rankingPolicy] || RANKING_POLICIES.best;
+}
+
+// Human-readable tie-breaker order, e.g. "Fewer restarts → More checkpoints"
+function describeTieBreakers(rules) {
+    const labels = (rules.tieBreakers || [])
+        .filter(key => TIE_BREAKERS[key])
+        .map(key => TIE_BREAKERS[key].label);
+    return labels.length > 0 ? labels.join(' → ') : 'None';
+}
+
+// scoring-engine.js is a global in the page and a sibling module in Node
+function getRankingEngineModule() {
+    return typeof roundElapsedSeconds === 'function'
+        ? { DEFAULT_RULES, roundElapsedSeconds }
+        : require('./scoring-engine.js');
+}
+
+// The elapsed time a run was scored with: at its rules' precision and
+// rounding, and stopped at the limit under auto-stop. Runs recorded
+// before the time bonus kept it are rounded here.
+function getScoredElapsedSeconds(run) {
+    const timeBonus = run.result && run.result.components.find(component => component.code === 'T');
+    if (timeBonus && Number.isFinite(timeBonus.elapsedTotalSeconds)) {
+        return timeBonus.elapsedTotalSeconds;
+    }
+    const { DEFAULT_RULES, roundElapsedSeconds } = getRankingEngineModule();
+    return roundElapsedSeconds(run.input.elapsedSeconds, { ...DEFAULT_RULES, ...run.rules });
+}
+
+// Values the tie-breakers look at, summed over one or more runs.
+// Elapsed times are the scored ones, so runs showing the same time tie.
+// completedAt is when the last of the runs was recorded.
+function getRankingStats(runs, score) {
+    const elapsed = runs.reduce((sum, run) => sum + getScoredElapsedSeconds(run), 0);
+    return {
+        score,
+        restarts: runs.reduce((sum, run) => sum + run.input.restarts, 0),
+        checkpoints: runs.reduce((sum, run) => sum + run.input.checkpoints, 0),
+        // Rounded so summing 0.1 + 0.2 doesn't separate equal totals
+        elapsedSeconds: Number(elapsed.toFixed(6)),
+        completedAt: Math.max(...runs.map(run => Date.parse(run.timestamp) || 0))
+    };
+}
+
+// Compare two stats objects: higher score first, then each tie-breaker in turn.
+// Returns the comparison and the label of the tie-breaker that decided it.
+function compareRankingStats(a, b, tieBreakers = []) {
+    if (a.score !== b.score) {
+        return { result: b.score - a.score, decidedBy: null };
+    }
+
+    for (const key of tieBreakers) {
+        const tieBreaker = TIE_BREAKERS[key];
+        const result = tieBreaker ? tieBreaker.compare(a, b) : 0;
+        if (result !== 0) {
+            return { result, decidedBy: tieBreaker.label };
+        }
+    }
+
+    return { result: 0, decidedBy: null };
+}
+
+// Order a team's runs from best to worst
+function sortRuns(runs, tieBreakers = []) {
+    return [...runs].sort((a, b) => compareRankingStats(
+        getRankingStats([a], a.result.finalScore),
+        getRankingStats([b], b.result.finalScore),
+        tieBreakers
+    ).result);
+}
+
+// Pick a team's best run by final score, breaking ties with the tie-breakers
+function pickBestRun(runs, tieBreakers = []) {
+    return runs.length > 0 ? sortRuns(runs, tieBreakers)[0] : null;
+}
+
+// Combine a team's runs according to the ranking policy.
+// Returns the aggregated score and the runs that counted towards it.
+function aggregateRuns(runs, rules) {
+    if (runs.length === 0) {
+        return { score: null, countedRuns: [] };
+    }
+
+    const tieBreakers = rules.tieBreakers || [];
+    const total = list => list.reduce((sum, run) => sum + run.result.finalScore, 0);
+
+    switch (rules.rankingPolicy) {
+        case 'sum':
+            return { score: total(runs), countedRuns: runs };
+        case 'average':
+            return { score: total(runs) / runs.length, countedRuns: runs };
+        case 'bestN': {
+            const countedRuns = sortRuns(runs, tieBreakers).slice(0, Math.max(1, rules.rankingCount || 1));
+            return { score: total(countedRuns), countedRuns };
+        }
+        default: {
+            const bestRun = pickBestRun(runs, tieBreakers);
+            return { score: bestRun.result.finalScore, countedRuns: [bestRun] };
+        }
+    }
+}
+
+// Build a sorted leaderboard from the team registry and run log.
+// Teams still level after every tie-breaker share a rank; teams without a
+// recorded run are listed last, unranked.
+function buildLeaderboard(teams, runs, rules = {}) {
+    const rankingRules = {
+        rankingPolicy: 'best',
+        rankingCount: 2,
+        tieBreakers: [],
+        ...rules
+    };
+
+    const entries = teams.map(team => {
+        const teamRuns = runs.filter(run => run.teamId === team.id);
+        const { score, countedRuns } = aggregateRuns(teamRuns, rankingRules);
+
+        return {
+            team,
+            runs: teamRuns,
+            countedRuns,
+            score,
+            stats: score === null ? null : getRankingStats(countedRuns, score),
+            rank: null,
+            tieBreak: null
+        };
+    });
+
+    const scored = entries
+        .filter(entry => entry.score !== null)
+        .sort((a, b) => compareRankingStats(a.stats, b.stats, rankingRules.tieBreakers).result);
+    const unscored = entries.filter(entry => entry.score === null);
+
+    scored.forEach((entry, index) => {
+        const previous = scored[index - 1];
+        if (!previous) {
+            entry.rank = 1;
+            return;
+        }
+
+        const { result, decidedBy } = compareRankingStats(previous.stats, entry.stats, rankingRules.tieBreakers);
+        entry.rank = result === 0 ? previous.rank : index + 1;
+        entry.tieBreak = decidedBy;
+    });
+
+    return [...scored, ...unscored];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RANKING_POLICIES,
+        TIE_BREAKERS,
+        describeRankingPolicy,
+        describeTieBreakers,
+        getScoredElapsedSeconds,
+        getRankingStats,
+        compareRankingStats,
+        sortRuns,
+        pickBestRun,
+        aggregateRuns,
+        buildLeaderboard
+    };
+}
@@ -0,0 +1,278 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - RESULTS REPORT
+ * ========================================================================
+ *
+ * Printable results for report.html, built from the teams, run log and
+ * scoring rules saved on this device:
+ * - Overall ranking, or the ranking of each round
+ * - One score card per team: every attempt with its breakdown, which
+ *   attempts counted, and lines for signatures
+ * - The rule set in words and as an importable configuration
+ *
+ * The print styles in styles.css give one clean page per section, so the
+ * browser's "Save as PDF" produces the result sheet to hand in.
+ *
+ * ====================================================================== */
+
+let reportRules = { ...DEFAULT_RULES };
+
+function loadReportState() {
+    try {
+        reportRules = { ...DEFAULT_RULES, ...JSON.parse(localStorage.getItem('lfrScoringRules')) };
+    } catch (e) {
+        console.error('Error loading rules:', e);
+    }
+
+    loadEventData();
+}
+
+// Create an element with optional class and text
+function createReportElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) {
+        element.className = className;
+    }
+    if (text !== undefined) {
+        element.textContent = text;
+    }
+    return element;
+}
+
+// Table from header labels and rows of cells. A cell is text or
+// { text, className }.
+function createReportTable(headers, rows, className = 'report-table') {
+    const table = createReportElement('table', className);
+    const headRow = table.createTHead().insertRow();
+    headers.forEach(header => {
+        const cell = typeof header === 'string' ? { text: header } : header;
+        const th = createReportElement('th', cell.className, cell.text);
+        if (cell.title) {
+            th.title = cell.title;
+        }
+        headRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    rows.forEach(row => {
+        const tr = body.insertRow();
+        row.forEach(value => {
+            const cell = value !== null && typeof value === 'object' ? value : { text: value };
+            tr.appendChild(createReportElement('td', cell.className, cell.text ?? '–'));
+        });
+    });
+
+    return table;
+}
+
+function formatReportScore(score) {
+    return score === null ? '–' : String(roundExportNumber(score));
+}
+
+// Rules that affect a score, in words
+function describeRuleSet(rules) {
+    const rows = [
+        ['Fingerprint', getRulesFingerprint(rules)],
+        ...RULE_FIELDS.map(field => [field.label, String(rules[field.key])])
+    ];
+    const checkpointList = getCheckpointList(rules);
+    const customComponents = getCustomComponents(rules);
+
+    if (checkpointList.length > 0) {
+        rows.push(['Named Checkpoints', checkpointList.map(checkpoint => `${checkpoint.name} (${checkpoint.points})`).join(', ')]);
+    }
+    rows.push(
+        ['Time Bonus', TIME_POLICIES[rules.timePolicy] || rules.timePolicy],
+        ['Elapsed Time', `${TIME_ROUNDING_MODES[rules.timeRounding] || rules.timeRounding} to ${rules.timePrecision} s`],
+        ['Over Time', OVERTIME_POLICIES[rules.overtimePolicy] || rules.overtimePolicy],
+        ['Ranking', describeRankingPolicy(rules)],
+        ['Tie-breakers', describeTieBreakers(rules)]
+    );
+    if (customComponents.length > 0) {
+        rows.push(['Custom Components', customComponents
+            .map(component => `${component.name} (${CUSTOM_COMPONENT_TYPES[component.type]}, ${component.points})`)
+            .join(', ')]);
+    }
+    rows.push(['Formula', rules.formula || 'Standard sum']);
+
+    return rows;
+}
+
+// Runs recorded under rules other than the ones in this report
+function countRunsWithOtherRules(runs, rules) {
+    const fingerprint = getRulesFingerprint(rules);
+    return runs.filter(run => (run.rulesHash || getRulesFingerprint(run.rules)) !== fingerprint).length;
+}
+
+function renderReportMeta(data) {
+    const meta = document.getElementById('report-meta');
+    const scoredTeams = data.entries.filter(entry => entry.score !== null).length;
+
+    meta.textContent = `Generated ${new Date().toLocaleString()} · ${teams.length} teams · ` +
+        `${runLog.length} runs · ${scoredTeams} ranked`;
+
+    const otherRules = countRunsWithOtherRules(runLog, reportRules);
+    if (otherRules > 0) {
+        meta.appendChild(createReportElement('div', 'report-warning',
+            `${otherRules} of the runs were scored under different rules than the rule set below`));
+    }
+}
+
+// Standings table with its ranking caption
+function createReportRanking(data, rules) {
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(createReportElement('div', 'report-caption',
+        `Ranked by: ${describeRankingPolicy(rules)} · Ties: ${describeTieBreakers(rules)}`));
+
+    if (data.entries.length === 0) {
+        fragment.appendChild(createReportElement('div', 'report-empty', 'No teams registered'));
+        return fragment;
+    }
+
+    fragment.appendChild(createReportTable(
+        ['Rank', 'No.', 'Team', 'School', 'Runs', 'Counted', { text: 'Score', className: 'number-cell' }],
+        data.entries.map(entry => [
+            entry.rank || '–',
+            entry.team.number || '–',
+            entry.team.name,
+            entry.team.school || '–',
+            entry.runs.length,
+            entry.runs.filter(run => entry.counted.has(run.id)).map(run => `#${run.attempt}`).join(', ') || '–',
+            { text: formatReportScore(entry.score), className: 'number-cell report-score' }
+        ])
+    ));
+    return fragment;
+}
+
+// One ranking per round, each under its own rules, with the knockout
+// champion once decided
+function renderReportRounds(container) {
+    rounds.forEach(round => {
+        const roundTeams = getRoundTeams(round, teams);
+        const roundRuns = getRoundRuns(rounds, runLog, round.id);
+
+        container.appendChild(createReportElement('h3', 'report-round-title', round.name));
+        container.appendChild(createReportElement('div', 'report-caption',
+            `${ROUND_FORMATS[round.format]} · Rules: ${round.presetName} (${getRulesFingerprint(round.rules)})`));
+
+        if (round.format === 'knockout' && round.teamIds) {
+            const { champion } = buildBracket(round, teams, roundRuns);
+            container.appendChild(createReportElement('div', 'report-caption',
+                `Champion: ${champion ? getTeamLabel(champion) : 'to be decided'}`));
+        }
+        container.appendChild(createReportRanking(buildResultsReportData(roundTeams, roundRuns, round.rules), round.rules));
+    });
+}
+
+function renderReportRanking(data) {
+    const container = document.getElementById('report-ranking');
+    container.innerHTML = '';
+
+    if (rounds.length > 0) {
+        renderReportRounds(container);
+    } else {
+        container.appendChild(createReportRanking(data, reportRules));
+    }
+}
+
+// Attempts table shared by team cards and unassigned runs
+function createReportAttemptTable(runs, columns, counted = new Set()) {
+    return createReportTable(
+        [
+            'Attempt',
+            'Recorded',
+            { text: 'Time (s)', className: 'number-cell' },
+            ...columns.map(column => ({ text: column.code, title: column.label, className: 'number-cell' })),
+            { text: 'Score', className: 'number-cell' }
+        ],
+        runs.map(run => {
+            const points = Object.fromEntries(run.result.components.map(component => [component.code, component.points]));
+            return [
+                `#${run.attempt}${counted.has(run.id) ? ' ✓' : ''}`,
+                new Date(run.timestamp).toLocaleString(),
+                { text: String(roundExportNumber(run.input.elapsedSeconds)), className: 'number-cell' },
+                ...columns.map(column => ({
+                    text: column.code in points ? String(roundExportNumber(points[column.code])) : '–',
+                    className: 'number-cell'
+                })),
+                { text: String(roundExportNumber(run.result.finalScore)), className: 'number-cell report-score' }
+            ];
+        }),
+        'report-table report-attempts'
+    );
+}
+
+function createReportSignatures() {
+    const signatures = createReportElement('div', 'report-signatures');
+    ['Judge', 'Team captain'].forEach(role => {
+        signatures.appendChild(createReportElement('div', 'report-signature', role));
+    });
+    return signatures;
+}
+
+function renderReportTeamCards(data) {
+    const container = document.getElementById('report-team-cards');
+    container.innerHTML = '';
+
+    document.getElementById('report-legend').textContent = [
+        ...data.columns.map(column => `${column.code} = ${column.label}`),
+        '✓ = counted towards the ranking'
+    ].join(' · ');
+
+    data.entries.forEach(entry => {
+        const card = createReportElement('article', 'report-card');
+        const header = createReportElement('div', 'report-card-header');
+        const title = createReportElement('div', 'report-card-title');
+
+        title.appendChild(createReportElement('h3', '', getTeamLabel(entry.team)));
+        if (entry.team.school) {
+            title.appendChild(createReportElement('div', 'report-caption', entry.team.school));
+        }
+        header.appendChild(title);
+        header.appendChild(createReportElement('div', 'report-card-rank',
+            entry.rank ? `Rank ${entry.rank} · ${formatReportScore(entry.score)} pts` : 'Not ranked'));
+        card.appendChild(header);
+
+        card.appendChild(entry.runs.length > 0
+            ? createReportAttemptTable(entry.runs, data.columns, entry.counted)
+            : createReportElement('div', 'report-empty', 'No runs recorded'));
+        if (entry.tieBreak) {
+            card.appendChild(createReportElement('div', 'report-caption', `Tie decided by: ${entry.tieBreak.toLowerCase()}`));
+        }
+        card.appendChild(createReportSignatures());
+        container.appendChild(card);
+    });
+
+    if (data.unassigned.length > 0) {
+        const card = createReportElement('article', 'report-card');
+        card.appendChild(createReportElement('h3', '', 'Runs of deleted teams'));
+        card.appendChild(createReportAttemptTable(data.unassigned, data.columns));
+        container.appendChild(card);
+    }
+}
+
+// The rules in words, and the same configuration file Export produces
+function renderReportRuleSet() {
+    const container = document.getElementById('report-rule-set');
+    container.innerHTML = '';
+
+    container.appendChild(createReportTable(['Rule', 'Value'], describeRuleSet(reportRules), 'report-table report-rule-table'));
+    container.appendChild(createReportElement('h3', '', 'Configuration'));
+    container.appendChild(createReportElement('pre', 'report-config', JSON.stringify(createConfigFile(reportRules), null, 2)));
+}
+
+function renderReport() {
+    const data = buildResultsReportData(teams, runLog, reportRules);
+    renderReportMeta(data);
+    renderReportRanking(data);
+    renderReportTeamCards(data);
+    renderReportRuleSet();
+}
+
+// ===== INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', function() {
+    loadReportState();
+    renderReport();
+
+    document.getElementById('report-print-btn').addEventListener('click', () => window.print());
+    document.getElementById('report-csv-btn').addEventListener('click', () => downloadResultsCsv(reportRules));
+});
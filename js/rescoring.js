@@ -0,0 +1,186 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - RE-SCORING
+ * ========================================================================
+ *
+ * DOM-free "what if" scoring: recorded runs scored again from their raw
+ * inputs under other rules, and the standings compared side by side.
+ *
+ * Each recorded run keeps the judge's raw input (start/end flags,
+ * checkpoints, restarts, elapsed time, custom component values, splits)
+ * apart from its computed score, so any preset can re-score it:
+ * - The time limit comes from the new rules, not the recorded run
+ * - Checkpoints are matched by position along the track: a run that
+ *   counted 3 checkpoints clears the first three named ones, and named
+ *   checkpoints carry over in rule order
+ * - Custom components are matched by key; ones the run didn't have
+ *   score 0
+ *
+ * The first rule set of a comparison is the baseline that rank changes
+ * and component deltas are measured against. A rule set whose formula
+ * fails on one of the runs is reported with its error instead of scores.
+ *
+ * Like ranking.js, this file works both as a page script and as a
+ * CommonJS module from Node.
+ *
+ * ====================================================================== */
+
+// scoring-engine.js, ranking.js and export.js are globals in the page and
+// sibling modules in Node
+function getRescoringEngineModule() {
+    return typeof computeScore === 'function'
+        ? { DEFAULT_RULES, computeScore, getCheckpointList, getComponentPoints }
+        : require('./scoring-engine.js');
+}
+
+function getRescoringRankingModule() {
+    return typeof buildLeaderboard === 'function'
+        ? { buildLeaderboard }
+        : require('./ranking.js');
+}
+
+function getRescoringExportModule() {
+    return typeof getComponentColumns === 'function'
+        ? { getComponentColumns }
+        : require('./export.js');
+}
+
+// ===== RE-SCORING =====
+
+// The judge's input of a recorded run, fitted to `rules`
+function getRawRunInput(run, rules) {
+    const input = run.input;
+    const recordedNames = Array.isArray(input.clearedCheckpoints) && input.clearedCheckpoints.length > 0;
+
+    return {
+        leftStart: input.leftStart,
+        reachedEnd: input.reachedEnd,
+        checkpoints: input.checkpoints,
+        clearedCheckpoints: getRescoringEngineModule().getCheckpointList(rules).map((checkpoint, index) =>
+            recordedNames ? Boolean(input.clearedCheckpoints[index]) : index < input.checkpoints),
+        restarts: input.restarts,
+        elapsedSeconds: input.elapsedSeconds,
+        custom: { ...input.custom },
+        splits: input.splits || []
+    };
+}
+
+// A copy of a recorded run scored under `rules`, shaped like the original
+// so the ranking helpers take it as it is
+function rescoreRun(run, rules) {
+    const result = getRescoringEngineModule().computeScore(getRawRunInput(run, rules), rules);
+    return {
+        ...run,
+        input: result.input,
+        rules: result.rules,
+        result: {
+            finalScore: result.finalScore,
+            components: result.components
+        }
+    };
+}
+
+// ===== COMPARISON =====
+
+// A team's points from one component, combined the way its ranking score
+// is, so a team's components add up to its score
+function getCountedComponentPoints(entry, rules, code) {
+    const { getComponentPoints } = getRescoringEngineModule();
+    const total = entry.countedRuns.reduce((sum, run) => sum + getComponentPoints(run.result, code), 0);
+    return rules.rankingPolicy === 'average' && entry.countedRuns.length > 0
+        ? total / entry.countedRuns.length
+        : total;
+}
+
+// Standings of `runs` under each of `scenarios` ({ name, rules }), one row
+// per team in baseline order:
+//   { team, results: [{ rank, score, rankChange, scoreDelta,
+//     components: { code: points }, componentDeltas: { code: points } }] }
+// rankChange counts places gained on the baseline (negative: places lost);
+// it and the deltas are null where either side is unranked. `components`
+// lists every component with its average points per run under each rule
+// set and the change from the baseline. Scenarios come back with `error`
+// set (and every team unranked) when their formula failed.
+function buildRuleComparison(teams, runs, scenarios) {
+    const { DEFAULT_RULES, getComponentPoints } = getRescoringEngineModule();
+
+    const scored = scenarios.map(scenario => {
+        const rules = { ...DEFAULT_RULES, ...scenario.rules };
+        let scenarioRuns;
+        try {
+            scenarioRuns = runs.map(run => rescoreRun(run, rules));
+        } catch (error) {
+            return { name: scenario.name, rules, error: error.message, runs: [], leaderboard: null };
+        }
+        return {
+            name: scenario.name,
+            rules,
+            error: null,
+            runs: scenarioRuns,
+            leaderboard: getRescoringRankingModule().buildLeaderboard(teams, scenarioRuns, rules)
+        };
+    });
+
+    const columns = getRescoringExportModule().getComponentColumns(scored.flatMap(scenario => scenario.runs));
+    // Teams in the order of the first rule set that could score them
+    const order = scored.find(scenario => scenario.leaderboard);
+    const rowTeams = order ? order.leaderboard.map(entry => entry.team) : teams;
+
+    const rows = rowTeams.map(team => {
+        const teamResults = scored.map(scenario => {
+            const entry = scenario.leaderboard && scenario.leaderboard.find(e => e.team.id === team.id);
+            if (!entry) {
+                return { rank: null, score: null, components: {} };
+            }
+            return {
+                rank: entry.rank,
+                score: entry.score,
+                components: Object.fromEntries(columns.map(column =>
+                    [column.code, entry.score === null ? null : getCountedComponentPoints(entry, scenario.rules, column.code)]))
+            };
+        });
+        const [baseline] = teamResults;
+
+        return {
+            team,
+            results: teamResults.map(result => {
+                const comparable = result.score !== null && baseline.score !== null;
+                return {
+                    ...result,
+                    rankChange: comparable ? baseline.rank - result.rank : null,
+                    scoreDelta: comparable ? result.score - baseline.score : null,
+                    componentDeltas: comparable
+                        ? Object.fromEntries(columns.map(column =>
+                            [column.code, result.components[column.code] - baseline.components[column.code]]))
+                        : null
+                };
+            })
+        };
+    });
+
+    const components = columns.map(column => {
+        const averages = scored.map(scenario => scenario.runs.length > 0
+            ? scenario.runs.reduce((sum, run) => sum + getComponentPoints(run.result, column.code), 0) / scenario.runs.length
+            : null);
+        return {
+            ...column,
+            custom: scored.some(scenario => scenario.runs.some(run =>
+                run.result.components.some(c => c.code === column.code && c.custom))),
+            averages,
+            deltas: averages.map(average => average === null || averages[0] === null ? null : average - averages[0])
+        };
+    });
+
+    return {
+        scenarios: scored.map(({ name, rules, error }) => ({ name, rules, error })),
+        rows,
+        components
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getRawRunInput,
+        rescoreRun,
+        buildRuleComparison
+    };
+}
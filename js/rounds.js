@@ -0,0 +1,465 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - ROUNDS
+ * ========================================================================
+ *
+ * FEATURES:
+ * - Setup: Rounds are added in order, each with the rules of a preset
+ *   (or the current rules), a format and the teams taking part: everyone,
+ *   or the top N of an earlier ranked round
+ * - Starting: The started round becomes the active one. Its rules are
+ *   applied to the calculator and teams advancing from the source round
+ *   are seeded by their standings at that moment.
+ * - Results: Standings with the advancing places marked, or the knockout
+ *   bracket up to the champion; the leaderboard shows the active round
+ * - Matches: Each team makes the round's set number of runs in a knockout
+ *   match; the judge can close a match early once it has a leader
+ *
+ * Rounds, runs and the active round are kept in event.js; the bracket and
+ * standings logic is in tournament.js.
+ *
+ * ====================================================================== */
+
+// Round shown under the round list (the active one when not chosen)
+let viewedRoundId = null;
+
+// ===== DATA =====
+
+// Add a round. Returns the round, or throws on invalid input.
+function createRound({ name, presetKey, format, sourceRoundId, advanceCount, matchAttempts = 1 }) {
+    const roundName = (name || '').trim();
+    const rules = presetKey ? getPresetRules(presetKey) : scoringRules;
+    const source = sourceRoundId ? findRound(rounds, sourceRoundId) : null;
+    const count = Number(advanceCount);
+    const attempts = Number(matchAttempts);
+
+    if (!roundName) {
+        throw new Error('Please enter a round name');
+    }
+    if (rounds.some(round => round.name.toLowerCase() === roundName.toLowerCase())) {
+        throw new Error(`There is already a round called "${roundName}"`);
+    }
+    if (!rules) {
+        throw new Error('Please choose the rules for this round');
+    }
+    if (!ROUND_FORMATS[format]) {
+        throw new Error('Please choose a round format');
+    }
+    if (sourceRoundId && (!source || source.format !== 'standings')) {
+        throw new Error('Teams can only advance from a ranked round');
+    }
+    if (source && (!Number.isInteger(count) || count < (format === 'knockout' ? 2 : 1))) {
+        throw new Error(format === 'knockout'
+            ? 'A knockout round needs at least 2 advancing teams'
+            : 'Please enter how many teams advance');
+    }
+    if (format === 'knockout' && (!Number.isInteger(attempts) || attempts < 1)) {
+        throw new Error('Please enter how many runs each team makes in a match');
+    }
+
+    const round = {
+        id: generateId(),
+        name: roundName,
+        presetName: presetKey ? getPresetName(presetKey) : 'Current rules',
+        rules: { ...DEFAULT_RULES, ...rules },
+        format,
+        sourceRoundId: source ? source.id : null,
+        advanceCount: source ? count : null,
+        teamIds: null,
+        matchAttempts: format === 'knockout' ? attempts : null,
+        closedMatches: []
+    };
+
+    rounds.push(round);
+    saveRounds();
+    return round;
+}
+
+// Make a round the active one and judge it with its rules. Teams are
+// seeded when the round starts, until its first run is recorded.
+// Returns the round, or throws when it can't start.
+function startRound(roundId) {
+    const round = findRound(rounds, roundId);
+
+    if (!round) {
+        throw new Error('Round not found');
+    }
+    if (isJudgeLocked()) {
+        throw new Error('Rule settings are locked. Unlock them to change rounds.');
+    }
+
+    if (getRoundRuns(rounds, runLog, round.id).length === 0) {
+        const qualified = getQualifiedTeams(round, rounds, teams, runLog);
+        const needed = round.format === 'knockout' ? 2 : 1;
+
+        if (qualified.length < needed) {
+            const source = findRound(rounds, round.sourceRoundId);
+            throw new Error(source
+                ? `Not enough ranked teams in ${source.name} yet`
+                : `${round.name} needs at least ${needed} registered team${needed === 1 ? '' : 's'}`);
+        }
+
+        // Rounds open to all keep taking new teams unless they have a bracket
+        round.teamIds = round.sourceRoundId || round.format === 'knockout'
+            ? qualified.map(team => team.id)
+            : null;
+        round.rev = getRevision(round) + 1;
+    }
+
+    setActiveRound(round.id);
+    viewedRoundId = round.id;
+    saveRounds();
+    applyScoringRules(round.rules);
+    return round;
+}
+
+// Remove a round that has no runs and that no other round advances from
+function deleteRound(roundId) {
+    const round = findRound(rounds, roundId);
+
+    if (!round) {
+        return;
+    }
+    if (getRoundRuns(rounds, runLog, round.id).length > 0) {
+        throw new Error(`${round.name} has recorded runs`);
+    }
+    const next = rounds.find(r => r.sourceRoundId === round.id);
+    if (next) {
+        throw new Error(`Teams advance from ${round.name} to ${next.name}`);
+    }
+
+    markRemoved('rounds', [round]);
+    rounds = rounds.filter(r => r.id !== round.id);
+    if (activeRoundId === round.id) {
+        setActiveRound(null);
+    }
+    saveRounds();
+}
+
+// Decide an open knockout match on the runs made so far, e.g. when a team
+// forgoes its remaining runs. Throws when the runs don't separate the teams.
+function closeMatch(roundId, matchKey) {
+    const round = findRound(rounds, roundId);
+    const match = round && round.format === 'knockout'
+        ? findMatch(buildBracket(round, teams, getRoundRuns(rounds, runLog, round.id)), matchKey)
+        : null;
+
+    if (!match || match.status !== 'open') {
+        throw new Error('This match is not open');
+    }
+    if (!isMatchSeparated(match)) {
+        throw new Error('The teams are level: record another run to decide the match');
+    }
+
+    round.closedMatches = [...(round.closedMatches || []), matchKey];
+    round.rev = getRevision(round) + 1;
+    saveRounds();
+    return match;
+}
+
+// Rounds and the active round choice merged from another tab or device
+// (see mergeEventData() in event.js). A new active round brings its rules
+// along, unless the rule settings are locked here.
+function receiveRounds(incomingRounds, activeRound) {
+    const previousId = activeRoundId;
+    rounds = incomingRounds;
+    activeRoundId = activeRound.id;
+    activeRoundRev = activeRound.rev;
+    storeRounds();
+
+    const round = getActiveRound();
+    if (!round || round.id === previousId) {
+        return;
+    }
+    if (isJudgeLocked()) {
+        showToast(`${escapeHtml(round.name)} started elsewhere; unlock the rule settings to use its rules`, 'error');
+    } else {
+        applyScoringRules(round.rules);
+        showToast(`Now judging ${escapeHtml(round.name)}`, 'success');
+    }
+}
+
+// Places that go through to a later round (the largest cut from this one)
+function getRoundCutoff(round) {
+    return rounds
+        .filter(r => r.sourceRoundId === round.id)
+        .reduce((cutoff, r) => Math.max(cutoff, r.advanceCount), 0);
+}
+
+// Round of a recorded run for the run log, e.g. "Top 8 · Semi-finals"
+function describeRunRound(run) {
+    const round = findRound(rounds, getRunRoundId(run, rounds));
+    if (!round) {
+        return '–';
+    }
+    return run.stage === undefined ? round.name : `${round.name} · ${getRoundStageName(round, run.stage)}`;
+}
+
+// "Top 8 of Qualification", "All teams" or "12 seeded"
+function describeRoundTeams(round) {
+    const source = findRound(rounds, round.sourceRoundId);
+    if (source) {
+        return `Top ${round.advanceCount} of ${source.name}`;
+    }
+    return round.teamIds ? `${round.teamIds.length} seeded` : 'All teams';
+}
+
+// ===== UI =====
+
+function renderBracketSlot(slot, match) {
+    if (!slot) {
+        return '<div class="bracket-slot pending">To be decided</div>';
+    }
+    if (slot.bye) {
+        return '<div class="bracket-slot pending">Bye</div>';
+    }
+
+    const entry = match.entries.find(e => e.team.id === slot.team.id);
+    const result = match.status !== 'decided' ? '' : match.winner === slot ? ' winner' : ' loser';
+    // Runs made so far while a match of several runs is open
+    const progress = entry && match.status === 'open' && match.attempts > 1
+        ? `<span class="bracket-attempts">${Math.min(entry.runs.length, match.attempts)}/${match.attempts}</span>`
+        : '';
+
+    return `
+        <div class="bracket-slot${result}">
+            <span class="bracket-seed">${slot.seed}</span>
+            <span class="bracket-team">${escapeHtml(getTeamLabel(slot.team))}</span>
+            ${progress}
+            <span class="bracket-score">${entry && entry.score !== null ? entry.score.toFixed(0) : ''}</span>
+        </div>`;
+}
+
+function renderBracketMatch(round, match) {
+    const closable = match.status === 'open' && isMatchSeparated(match);
+    return `
+                <div class="bracket-match ${match.status}">
+                    ${match.slots.map(slot => renderBracketSlot(slot, match)).join('')}
+                    ${closable ? `<button class="bracket-close-btn" data-close-match="${match.key}" data-round-id="${round.id}" title="Decide the match on the runs made so far">Close match</button>` : ''}
+                </div>`;
+}
+
+function renderBracket(round) {
+    const seeds = getRoundTeams(round, teams);
+    if (!round.teamIds || seeds.length < 2) {
+        return '<div class="event-empty">The bracket is drawn when the round starts</div>';
+    }
+
+    const bracket = buildBracket(round, teams, getRoundRuns(rounds, runLog, round.id));
+    const stages = bracket.stages.map(stage => `
+        <div class="bracket-stage">
+            <h4>${stage.name}</h4>
+            ${stage.matches.map(match => renderBracketMatch(round, match)).join('')}
+        </div>`).join('');
+
+    return `
+        <div class="event-caption">
+            ${getMatchAttempts(round)} run${getMatchAttempts(round) === 1 ? '' : 's'} per team in each match ·
+            Matches ranked by: ${describeRankingPolicy(round.rules)} · Ties: ${describeTieBreakers(round.rules)}
+        </div>
+        <div class="bracket">
+            ${stages}
+            <div class="bracket-stage bracket-champion">
+                <h4>Champion</h4>
+                <div class="bracket-champion-name">${bracket.champion ? escapeHtml(getTeamLabel(bracket.champion)) : 'To be decided'}</div>
+            </div>
+        </div>`;
+}
+
+// Results of a round: its standings or its bracket
+function renderRoundResults(round) {
+    const heading = `
+        <div class="round-heading">
+            <strong>${escapeHtml(round.name)}</strong>
+            <span class="muted-cell">${ROUND_FORMATS[round.format]} · ${escapeHtml(round.presetName)} · ${escapeHtml(getRulesFingerprint(round.rules))}</span>
+        </div>`;
+
+    if (round.format === 'knockout') {
+        return heading + renderBracket(round);
+    }
+
+    const cutoff = getRoundCutoff(round);
+    const next = rounds.find(r => r.sourceRoundId === round.id && r.advanceCount === cutoff);
+    return heading +
+        (next ? `<div class="event-caption qualifies-note">Top ${cutoff} advance to ${escapeHtml(next.name)}</div>` : '') +
+        renderStandingsTable(buildRoundStandings(round, rounds, teams, runLog), round.rules, cutoff);
+}
+
+function renderRoundList() {
+    const container = document.getElementById('round-list');
+
+    if (rounds.length === 0) {
+        container.innerHTML = '<div class="event-empty">No rounds yet: every run counts towards one leaderboard</div>';
+        return;
+    }
+
+    const rows = rounds.map(round => {
+        const active = round.id === activeRoundId;
+        return `
+        <tr>
+            <td>${escapeHtml(round.name)}${active ? ' <span class="round-active-badge">Active</span>' : ''}</td>
+            <td class="muted-cell">${ROUND_FORMATS[round.format]}</td>
+            <td class="muted-cell">${escapeHtml(round.presetName)} <span class="rules-hash-cell">${escapeHtml(getRulesFingerprint(round.rules))}</span></td>
+            <td class="muted-cell">${escapeHtml(describeRoundTeams(round))}</td>
+            <td class="number-cell">${getRoundRuns(rounds, runLog, round.id).length}</td>
+            <td class="action-cell">
+                <div class="round-actions">
+                    <button class="preset-btn" data-view-round="${round.id}">View</button>
+                    <button class="preset-btn" data-start-round="${round.id}" ${active ? 'disabled' : ''}>Start</button>
+                    <button class="preset-btn danger" data-delete-round="${round.id}">Delete</button>
+                </div>
+            </td>
+        </tr>`;
+    }).join('');
+
+    container.innerHTML = `
+        <table class="event-table">
+            <thead>
+                <tr><th>Round</th><th>Format</th><th>Rules</th><th>Teams</th><th>Runs</th><th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Teams can advance from ranked rounds only
+function updateRoundSourceSelect() {
+    const select = document.getElementById('round-source-select');
+    const current = select.value;
+
+    select.innerHTML = '<option value="">All teams</option>' + rounds
+        .filter(round => round.format === 'standings')
+        .map(round => `<option value="${round.id}">Top N of ${escapeHtml(round.name)}</option>`)
+        .join('');
+    select.value = findRound(rounds, current) ? current : '';
+    document.getElementById('round-advance-input').disabled = !select.value;
+}
+
+function renderRounds() {
+    const view = document.getElementById('round-view');
+    const round = findRound(rounds, viewedRoundId) || getActiveRound();
+
+    renderRoundList();
+    updateRoundSourceSelect();
+    view.innerHTML = round ? renderRoundResults(round) : '';
+}
+
+// ===== INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', function() {
+    const roundNameInput = document.getElementById('round-name-input');
+    const roundPresetSelect = document.getElementById('round-preset-select');
+    const roundFormatSelect = document.getElementById('round-format-select');
+    const roundSourceSelect = document.getElementById('round-source-select');
+    const roundAdvanceInput = document.getElementById('round-advance-input');
+    const roundAttemptsInput = document.getElementById('round-attempts-input');
+    const addRoundBtn = document.getElementById('add-round-btn');
+
+    roundFormatSelect.innerHTML = Object.entries(ROUND_FORMATS)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+
+    // Presets may have been saved since the form was last filled
+    document.querySelector('.event-tab[data-tab="rounds"]').addEventListener('click', function() {
+        const current = roundPresetSelect.value;
+        updatePresetDropdown(roundPresetSelect, 'Current rules');
+        roundPresetSelect.value = current;
+        if (roundPresetSelect.selectedIndex < 0) {
+            roundPresetSelect.value = '';
+        }
+    });
+    updatePresetDropdown(roundPresetSelect, 'Current rules');
+
+    roundSourceSelect.addEventListener('change', function() {
+        roundAdvanceInput.disabled = !roundSourceSelect.value;
+    });
+
+    // Runs per match only apply to knockout rounds
+    roundFormatSelect.addEventListener('change', function() {
+        roundAttemptsInput.disabled = roundFormatSelect.value !== 'knockout';
+    });
+    roundAttemptsInput.disabled = roundFormatSelect.value !== 'knockout';
+
+    addRoundBtn.addEventListener('click', function() {
+        let round;
+        try {
+            round = createRound({
+                name: roundNameInput.value,
+                presetKey: roundPresetSelect.value,
+                format: roundFormatSelect.value,
+                sourceRoundId: roundSourceSelect.value,
+                advanceCount: roundAdvanceInput.value,
+                matchAttempts: roundAttemptsInput.value
+            });
+        } catch (error) {
+            showToast(escapeHtml(error.message), 'error');
+            return;
+        }
+
+        roundNameInput.value = '';
+        showToast(`Round "${escapeHtml(round.name)}" added`, 'success');
+
+        // The first round starts straight away
+        if (rounds.length === 1) {
+            try {
+                startRound(round.id);
+            } catch (error) {
+                showToast(escapeHtml(error.message), 'error');
+            }
+        }
+        refreshEventViews();
+    });
+
+    roundNameInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            addRoundBtn.click();
+        }
+    });
+
+    // View / start / delete round (delegated)
+    document.getElementById('round-list').addEventListener('click', function(e) {
+        const viewBtn = e.target.closest('[data-view-round]');
+        const startBtn = e.target.closest('[data-start-round]');
+        const deleteBtn = e.target.closest('[data-delete-round]');
+
+        if (viewBtn) {
+            viewedRoundId = viewBtn.dataset.viewRound;
+            renderRounds();
+        } else if (startBtn) {
+            const round = findRound(rounds, startBtn.dataset.startRound);
+            if (!round || !confirm(`Start ${round.name}? Its rules replace the current rules.`)) {
+                return;
+            }
+            try {
+                startRound(round.id);
+                refreshEventViews();
+                showToast(`${escapeHtml(round.name)} started`, 'success');
+            } catch (error) {
+                showToast(escapeHtml(error.message), 'error');
+            }
+        } else if (deleteBtn) {
+            const round = findRound(rounds, deleteBtn.dataset.deleteRound);
+            if (!round || !confirm(`Delete round "${round.name}"?`)) {
+                return;
+            }
+            try {
+                deleteRound(round.id);
+                refreshEventViews();
+                showToast(`Round "${escapeHtml(round.name)}" deleted`, 'success');
+            } catch (error) {
+                showToast(`Can't delete: ${escapeHtml(error.message)}`, 'error');
+            }
+        }
+    });
+
+    // Close a knockout match early (delegated)
+    document.getElementById('round-view').addEventListener('click', function(e) {
+        const closeBtn = e.target.closest('[data-close-match]');
+        if (!closeBtn || !confirm('Close this match? It is decided on the runs made so far.')) {
+            return;
+        }
+        try {
+            const match = closeMatch(closeBtn.dataset.roundId, closeBtn.dataset.closeMatch);
+            refreshEventViews();
+            showToast(`${escapeHtml(getTeamLabel(match.entries[0].team))} wins the match`, 'success');
+        } catch (error) {
+            showToast(escapeHtml(error.message), 'error');
+        }
+    });
+});
@@ -0,0 +1,242 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - RUN STATE
+ * ========================================================================
+ *
+ * DOM-free model of the run in progress. Every judge action (stopwatch
+ * start / pause / reset, checkpoint and restart taps, start / end point
+ * toggles, counter edits) is an action object applied by applyRunAction().
+ * The history wraps the state with undo / redo stacks and an append-only
+ * audit trail, which is stored with the recorded run.
+ *
+ * Times in actions (`at`) are readings of one millisecond clock chosen by
+ * the caller; the page uses a monotonic clock anchored to the epoch so a
+ * running stopwatch survives a reload.
+ *
+ * Like scoring-engine.js, this file works both as a page script and as a
+ * CommonJS module from Node.
+ *
+ * ====================================================================== */
+
+// Actions a judge can take, with their audit trail labels
+const RUN_ACTIONS = {
+    start: 'Start stopwatch',
+    pause: 'Pause stopwatch',
+    autoStop: 'Stopped at time limit',
+    reset: 'Reset stopwatch',
+    checkpoint: '+ Checkpoint',
+    restart: '+ Restart',
+    toggleStartPoint: 'Start point',
+    toggleEndPoint: 'End point',
+    toggleCheckpoint: 'Checkpoint',
+    setCheckpoints: 'Checkpoints set',
+    setRestarts: 'Restarts set'
+};
+
+// Undo steps kept per run
+const RUN_HISTORY_LIMIT = 100;
+
+// Page clock for actions: monotonic within a page load and anchored to
+// the epoch, so stored readings stay meaningful after a reload
+function runClock() {
+    return performance.timeOrigin + performance.now();
+}
+
+function createRunState() {
+    return {
+        leftStart: false,
+        reachedEnd: false,
+        checkpoints: 0,
+        clearedCheckpoints: [],
+        restarts: 0,
+        splits: [],
+        running: false,
+        elapsedMs: 0,      // stopwatch time while paused
+        startedAt: null    // clock reading at which the stopwatch read zero, while running
+    };
+}
+
+// Stopwatch time at clock reading `now`
+function getRunElapsedMs(state, now) {
+    return state.running ? Math.max(0, now - state.startedAt) : state.elapsedMs;
+}
+
+// Count one more checkpoint. With named checkpoints (action.named of them)
+// the first uncleared one is ticked instead.
+function addRunCheckpoint(state, named) {
+    if (named > 0) {
+        const cleared = Array.from({ length: named }, (_, index) => Boolean(state.clearedCheckpoints[index]));
+        const next = cleared.indexOf(false);
+        if (next !== -1) {
+            cleared[next] = true;
+        }
+        return { ...state, clearedCheckpoints: cleared };
+    }
+    return { ...state, checkpoints: state.checkpoints + 1 };
+}
+
+// Taps are timestamped only while the stopwatch runs
+function addRunSplit(state, type, at) {
+    if (!state.running) {
+        return state.splits;
+    }
+    return [...state.splits, { type, elapsedSeconds: getRunElapsedMs(state, at) / 1000 }];
+}
+
+// Apply one action to the run state and return the new state.
+// Actions that change nothing (e.g. pausing a paused stopwatch) return `state` itself.
+function applyRunAction(state, action) {
+    switch (action.type) {
+        case 'start':
+            return state.running ? state : { ...state, running: true, startedAt: action.at - state.elapsedMs };
+        case 'pause':
+            return state.running
+                ? { ...state, running: false, elapsedMs: getRunElapsedMs(state, action.at), startedAt: null }
+                : state;
+        case 'autoStop':
+            return { ...state, running: false, elapsedMs: action.limitMs, startedAt: null };
+        case 'reset':
+            return { ...state, running: false, elapsedMs: 0, startedAt: null, splits: [] };
+        case 'checkpoint':
+            return { ...addRunCheckpoint(state, action.named || 0), splits: addRunSplit(state, 'checkpoint', action.at) };
+        case 'restart':
+            return { ...state, restarts: state.restarts + 1, splits: addRunSplit(state, 'restart', action.at) };
+        case 'toggleStartPoint':
+            return { ...state, leftStart: !state.leftStart };
+        case 'toggleEndPoint':
+            return { ...state, reachedEnd: !state.reachedEnd };
+        case 'toggleCheckpoint': {
+            const cleared = [...state.clearedCheckpoints];
+            cleared[action.index] = !cleared[action.index];
+            return { ...state, clearedCheckpoints: Array.from(cleared, Boolean) };
+        }
+        case 'setCheckpoints':
+        case 'setRestarts': {
+            const field = action.type === 'setCheckpoints' ? 'checkpoints' : 'restarts';
+            const value = Math.max(0, Number.parseInt(action.value) || 0);
+            return value === state[field] ? state : { ...state, [field]: value };
+        }
+    }
+    throw new Error(`Unknown run action "${action.type}"`);
+}
+
+// Audit trail wording for an action, e.g. "Restarts set: 3", "Start point: on"
+function describeRunAction(action, state) {
+    const label = RUN_ACTIONS[action.type] || action.type;
+
+    switch (action.type) {
+        case 'toggleStartPoint':
+            return `${label}: ${state.leftStart ? 'on' : 'off'}`;
+        case 'toggleEndPoint':
+            return `${label}: ${state.reachedEnd ? 'on' : 'off'}`;
+        case 'toggleCheckpoint':
+            return `${label} ${action.name || action.index + 1}: ${state.clearedCheckpoints[action.index] ? 'cleared' : 'not cleared'}`;
+        case 'setCheckpoints':
+            return `${label}: ${state.checkpoints}`;
+        case 'setRestarts':
+            return `${label}: ${state.restarts}`;
+        default:
+            return label;
+    }
+}
+
+function createRunHistory(state = createRunState()) {
+    return { past: [], present: state, future: [], audit: [] };
+}
+
+// Audit entry for something that happened at clock reading `at`,
+// stamped with wall-clock time and the stopwatch reading
+function createAuditEntry(type, description, state, at) {
+    return {
+        type,
+        description,
+        time: new Date().toISOString(),
+        elapsedSeconds: getRunElapsedMs(state, at) / 1000
+    };
+}
+
+// Apply an action and record it for undo and in the audit trail
+function dispatchRunAction(history, action) {
+    const next = applyRunAction(history.present, action);
+    if (next === history.present) {
+        return history;
+    }
+
+    return {
+        past: [...history.past, { state: history.present, action }].slice(-RUN_HISTORY_LIMIT),
+        present: next,
+        future: [],
+        audit: [...history.audit, createAuditEntry(action.type, describeRunAction(action, next), history.present, action.at)]
+    };
+}
+
+// Step back one action. Undoing is itself audited, so the trail shows the mis-tap.
+function undoRunAction(history, at) {
+    const last = history.past[history.past.length - 1];
+    if (!last) {
+        return history;
+    }
+
+    return {
+        past: history.past.slice(0, -1),
+        present: last.state,
+        future: [{ state: history.present, action: last.action }, ...history.future],
+        audit: [...history.audit, createAuditEntry('undo', `Undo ${describeRunAction(last.action, history.present)}`, history.present, at)]
+    };
+}
+
+// Stopwatch actions that take effect at the clock reading they are applied at
+const RUN_CLOCK_ACTIONS = ['start', 'pause'];
+
+// Step forward one undone action. A redone start or pause is applied again
+// at `at`, so the stopwatch resumes from (or stops at) its current reading
+// instead of jumping by the time the action spent undone.
+function redoRunAction(history, at) {
+    const next = history.future[0];
+    if (!next) {
+        return history;
+    }
+
+    const present = RUN_CLOCK_ACTIONS.includes(next.action.type)
+        ? applyRunAction(history.present, { ...next.action, at })
+        : next.state;
+
+    return {
+        past: [...history.past, { state: history.present, action: next.action }],
+        present,
+        future: history.future.slice(1),
+        audit: [...history.audit, createAuditEntry('redo', `Redo ${describeRunAction(next.action, present)}`, history.present, at)]
+    };
+}
+
+// Labels for the undo / redo buttons, or null when there is nothing to step to
+function peekRunHistory(history) {
+    const last = history.past[history.past.length - 1];
+    const next = history.future[0];
+    return {
+        undo: last ? describeRunAction(last.action, history.present) : null,
+        redo: next ? describeRunAction(next.action, next.state) : null
+    };
+}
+
+// Start a fresh history and audit trail for the next run, keeping the current state
+function startRunAudit(history) {
+    return createRunHistory(history.present);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RUN_ACTIONS,
+        RUN_HISTORY_LIMIT,
+        runClock,
+        createRunState,
+        getRunElapsedMs,
+        applyRunAction,
+        describeRunAction,
+        createRunHistory,
+        dispatchRunAction,
+        undoRunAction,
+        redoRunAction,
+        peekRunHistory,
+        startRunAudit
+    };
+}
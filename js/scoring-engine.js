@@ -0,0 +1,517 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - SCORING ENGINE
+ * ========================================================================
+ *
+ * Pure, DOM-free implementation of the scoring formula:
+ *
+ *   Total Score = S + E + C + R + B + T (+ any custom components)
+ *
+ * Loaded as a classic <script> in the page (exposes globals) and as a
+ * CommonJS module from Node, so offline scripts and test harnesses score
+ * runs with exactly the same code as the calculator.
+ *
+ * ====================================================================== */
+
+// ===== SCORING RULES (DEFAULT VALUES) =====
+const DEFAULT_RULES = {
+    startPoint: 20,
+    endPoint: 20,
+    checkpoint: 150,
+    // Ordered, individually-weighted checkpoints, e.g. { name: 'Gap', points: 150 }.
+    // When empty, every checkpoint is worth the flat `checkpoint` value.
+    checkpointList: [],
+    restart: -70,
+    bonus: 150,
+    timeMultiplier: 1,
+    totalTime: 5,
+    timePolicy: 'linear',
+    timeBonusCap: 0,
+    overtimePolicy: 'none',
+    timeWarning: 30,
+    // Elapsed time is scored at this precision (seconds) using the rounding mode
+    timeRounding: 'truncate',
+    timePrecision: 0.01,
+    rankingPolicy: 'best',
+    rankingCount: 2,
+    tieBreakers: ['fewerRestarts', 'moreCheckpoints', 'lowerElapsed', 'earlierAttempt'],
+    // Extra preset-defined components, e.g.
+    // { key: 'lineLost', name: 'Line Lost', type: 'count', points: -20 }
+    customComponents: [],
+    // Optional formula (see formula.js) replacing the plain sum, e.g.
+    // 'reachedEnd ? score : score - T'. Empty means the standard sum.
+    formula: ''
+};
+
+// Numeric rule fields, in settings order. The settings modal, validation
+// and settings read-back are all generated from this list.
+const RULE_FIELDS = [
+    { key: 'startPoint', label: 'Start Point Score', description: 'Points for leaving the start point', step: 1, min: -10000, max: 10000, fallback: 0 },
+    { key: 'endPoint', label: 'End Point Score', description: 'Points for stopping at the end point', step: 1, min: -10000, max: 10000, fallback: 0 },
+    { key: 'checkpoint', label: 'Checkpoint Score', description: 'Points per checkpoint crossed (when no named checkpoints are set)', step: 1, min: -10000, max: 10000, fallback: 0 },
+    { key: 'restart', label: 'Restart Penalty', description: 'Points deducted per restart (use negative)', step: 1, min: -10000, max: 10000, fallback: 0 },
+    { key: 'bonus', label: 'Perfect Bonus', description: 'Bonus for completing with no restarts', step: 1, min: -10000, max: 10000, fallback: 0 },
+    { key: 'timeMultiplier', label: 'Time Multiplier', description: 'Multiplier for remaining time in seconds', step: 0.1, min: 0, max: Infinity, fallback: 1 },
+    { key: 'totalTime', label: 'Total Time Allotted (minutes)', description: 'Maximum time allowed for the run', step: 0.1, min: 0, max: Infinity, fallback: 0, quickValues: [3, 5, 8, 10], fullWidth: true },
+    { key: 'timeBonusCap', label: 'Time Bonus Cap', description: 'Maximum points from the time bonus (0 = no cap)', step: 1, min: 0, max: Infinity, fallback: 0 },
+    { key: 'timeWarning', label: 'Time Warning (seconds)', description: 'Stopwatch warns this long before the limit (0 = off)', step: 1, min: 0, max: Infinity, fallback: 0 }
+];
+
+// How the time bonus (T) is awarded
+const TIME_POLICIES = {
+    linear: 'Linear (negative when over time)',
+    clamped: 'Clamped at zero',
+    finishOnly: 'Only when the end is reached'
+};
+
+// How elapsed time is brought to the scoring precision
+const TIME_ROUNDING_MODES = {
+    truncate: 'Truncate',
+    round: 'Round to nearest',
+    ceil: 'Round up'
+};
+
+// Precisions (in seconds) elapsed time can be scored at
+const TIME_PRECISIONS = [0.01, 0.1, 1];
+
+// What happens when a run goes over the allotted time
+const OVERTIME_POLICIES = {
+    none: 'Keep timing',
+    autoStop: 'Auto-stop at the limit',
+    disqualify: 'Disqualify the run'
+};
+
+// Kinds of custom component a preset can declare
+const CUSTOM_COMPONENT_TYPES = {
+    boolean: 'Yes / No',
+    count: 'Counted'
+};
+
+// Events a judge can mark on the stopwatch while a run is going
+const SPLIT_TYPES = {
+    checkpoint: 'Checkpoint',
+    restart: 'Restart'
+};
+
+// Built-in Competition Presets. They keep the linear time bonus with no
+// overtime handling they always scored with; the time and overtime
+// policies are opt-in settings, saved in a user preset.
+const BUILT_IN_PRESETS = {
+    'Default': { ...DEFAULT_RULES },
+    'RoboCup Junior': {
+        startPoint: 0,
+        endPoint: 50,
+        checkpoint: 100,
+        restart: -50,
+        bonus: 200,
+        timeMultiplier: 2,
+        totalTime: 8,
+        rankingPolicy: 'bestN',
+        rankingCount: 2,
+        tieBreakers: ['lowerElapsed', 'fewerRestarts']
+    },
+    'WRO Regular': {
+        startPoint: 10,
+        endPoint: 30,
+        checkpoint: 120,
+        restart: -60,
+        bonus: 100,
+        timeMultiplier: 1.5,
+        totalTime: 5,
+        rankingPolicy: 'best',
+        rankingCount: 2,
+        tieBreakers: ['fewerRestarts', 'lowerElapsed']
+    },
+    'FIRST LEGO League': {
+        startPoint: 15,
+        endPoint: 25,
+        checkpoint: 80,
+        restart: -40,
+        bonus: 150,
+        timeMultiplier: 1,
+        totalTime: 3,
+        rankingPolicy: 'best',
+        rankingCount: 2,
+        tieBreakers: ['moreCheckpoints', 'fewerRestarts', 'earlierAttempt']
+    }
+};
+
+// Named checkpoints defined by the rules, or an empty list for flat scoring
+function getCheckpointList(scoringRules) {
+    return Array.isArray(scoringRules.checkpointList) ? scoringRules.checkpointList : [];
+}
+
+// Custom components declared by the rules, or an empty list
+function getCustomComponents(scoringRules) {
+    return Array.isArray(scoringRules.customComponents) ? scoringRules.customComponents : [];
+}
+
+// Coerce a raw run input into the shape the engine scores.
+// totalTime (minutes) is optional and falls back to the rules' allotment.
+// With named checkpoints, clearedCheckpoints (one flag per checkpoint, in
+// rule order) decides which were crossed and the count follows from it.
+// Custom component values arrive in runInput.custom keyed by component key;
+// yes/no components are stored as 1 or 0.
+// Splits are the stopwatch taps ({ type, elapsedSeconds }), kept in time order.
+function normalizeRunInput(runInput = {}, scoringRules = DEFAULT_RULES) {
+    const totalTime = Number.parseFloat(runInput.totalTime);
+    const checkpointList = getCheckpointList(scoringRules);
+    const clearedCheckpoints = checkpointList.map((checkpoint, index) =>
+        Array.isArray(runInput.clearedCheckpoints) && Boolean(runInput.clearedCheckpoints[index]));
+
+    return {
+        leftStart: Boolean(runInput.leftStart),
+        reachedEnd: Boolean(runInput.reachedEnd),
+        checkpoints: checkpointList.length > 0
+            ? clearedCheckpoints.filter(Boolean).length
+            : Number.parseInt(runInput.checkpoints) || 0,
+        clearedCheckpoints,
+        restarts: Number.parseInt(runInput.restarts) || 0,
+        totalTime: totalTime || scoringRules.totalTime || 0,
+        elapsedSeconds: Number.parseFloat(runInput.elapsedSeconds) || 0,
+        custom: Object.fromEntries(getCustomComponents(scoringRules).map(definition => {
+            const raw = (runInput.custom || {})[definition.key];
+            const value = definition.type === 'boolean'
+                ? (raw ? 1 : 0)
+                : Math.max(0, Number.parseInt(raw) || 0);
+            return [definition.key, value];
+        })),
+        splits: (Array.isArray(runInput.splits) ? runInput.splits : [])
+            .filter(split => split && SPLIT_TYPES[split.type] && Number.isFinite(Number(split.elapsedSeconds)))
+            .map(split => ({ type: split.type, elapsedSeconds: Math.max(0, Number(split.elapsedSeconds)) }))
+            .sort((a, b) => a.elapsedSeconds - b.elapsedSeconds)
+    };
+}
+
+// Turn a normalised input's splits into consecutive segments from the start,
+// through each tap, to the finish. Checkpoint taps take the named
+// checkpoints' names in order; otherwise taps are numbered per type.
+function buildSplitTimeline(input, rules = DEFAULT_RULES) {
+    const checkpointList = getCheckpointList(rules);
+    const counts = { checkpoint: 0, restart: 0 };
+    const segments = [];
+    let previous = 0;
+
+    input.splits.forEach(split => {
+        counts[split.type]++;
+        const named = split.type === 'checkpoint' && checkpointList[counts.checkpoint - 1];
+        segments.push({
+            type: split.type,
+            label: named ? named.name : `${SPLIT_TYPES[split.type]} ${counts[split.type]}`,
+            start: previous,
+            end: split.elapsedSeconds,
+            duration: split.elapsedSeconds - previous
+        });
+        previous = split.elapsedSeconds;
+    });
+
+    if (segments.length > 0 && input.elapsedSeconds > previous) {
+        segments.push({
+            type: 'finish',
+            label: 'Finish',
+            start: previous,
+            end: input.elapsedSeconds,
+            duration: input.elapsedSeconds - previous
+        });
+    }
+
+    return segments;
+}
+
+// Bring an elapsed time in seconds to the rules' precision and rounding mode.
+// Works on integer steps so 12.34 s doesn't truncate to 12.33 s through float error.
+function roundElapsedSeconds(seconds, rules = DEFAULT_RULES) {
+    const precision = rules.timePrecision || 0.01;
+    const steps = seconds / precision;
+    const nearest = Math.round(steps);
+    const decimals = Math.max(0, -Math.floor(Math.log10(precision)));
+
+    // Treat values within float noise of a whole step as exact
+    if (Math.abs(steps - nearest) < 1e-6) {
+        return Number((nearest * precision).toFixed(decimals));
+    }
+
+    const rounders = { truncate: Math.floor, round: Math.round, ceil: Math.ceil };
+    const rounder = rounders[rules.timeRounding] || Math.floor;
+    return Number((rounder(steps) * precision).toFixed(decimals));
+}
+
+// Apply the time policy to the raw time bonus.
+// Returns the awarded points, the elapsed time actually scored and a note
+// explaining any adjustment for the breakdown.
+function computeTimeBonus(input, rules, totalTimeInSeconds) {
+    const notes = [];
+    let elapsed = roundElapsedSeconds(input.elapsedSeconds, rules);
+
+    // With auto-stop, the clock can never run past the limit
+    if (rules.overtimePolicy === 'autoStop' && totalTimeInSeconds > 0 && elapsed > totalTimeInSeconds) {
+        elapsed = totalTimeInSeconds;
+        notes.push('stopped at limit');
+    }
+
+    let points = (totalTimeInSeconds - elapsed) * rules.timeMultiplier;
+
+    if (rules.timePolicy === 'finishOnly' && !input.reachedEnd) {
+        return { points: 0, elapsed, note: 'not awarded: end not reached' };
+    }
+
+    if (rules.timePolicy !== 'linear' && points < 0) {
+        points = 0;
+        notes.push('clamped at 0');
+    }
+
+    if (rules.timeBonusCap > 0 && points > rules.timeBonusCap) {
+        points = rules.timeBonusCap;
+        notes.push(`capped at ${rules.timeBonusCap}`);
+    }
+
+    return { points, elapsed, note: notes.join(', ') };
+}
+
+// formula.js is a global in the page and a sibling module in Node
+function getFormulaModule() {
+    return typeof evaluateFormula === 'function'
+        ? { evaluateFormula, parseFormula, listFormulaVariables }
+        : require('./formula.js');
+}
+
+// S/E/C/R/B/T components followed by custom ones, for a normalised input
+function computeComponents(input, rules) {
+    // Convert all time to a common unit (seconds) for calculation
+    const totalTimeInSeconds = input.totalTime * 60;
+    const timeBonus = computeTimeBonus(input, rules, totalTimeInSeconds);
+
+    // Itemise named checkpoints; otherwise count × flat value
+    const checkpointItems = getCheckpointList(rules).map((checkpoint, index) => ({
+        name: checkpoint.name,
+        value: checkpoint.points,
+        cleared: input.clearedCheckpoints[index],
+        points: input.clearedCheckpoints[index] ? checkpoint.points : 0
+    }));
+    const checkpointComponent = checkpointItems.length > 0
+        ? {
+            code: 'C',
+            label: 'Checkpoints',
+            points: checkpointItems.reduce((sum, item) => sum + item.points, 0),
+            count: input.checkpoints,
+            items: checkpointItems
+        }
+        : {
+            code: 'C',
+            label: 'Checkpoints',
+            points: input.checkpoints * rules.checkpoint,
+            count: input.checkpoints,
+            value: rules.checkpoint
+        };
+
+    const components = [
+        {
+            code: 'S',
+            label: 'Start Point',
+            points: input.leftStart ? rules.startPoint : 0
+        },
+        {
+            code: 'E',
+            label: 'End Point',
+            points: input.reachedEnd ? rules.endPoint : 0
+        },
+        checkpointComponent,
+        {
+            code: 'R',
+            label: 'Restarts',
+            points: input.restarts * rules.restart,
+            count: input.restarts,
+            value: rules.restart
+        },
+        {
+            // Perfect bonus if restarts is 0 AND the end was reached
+            code: 'B',
+            label: 'Perfect Bonus',
+            points: (input.restarts === 0 && input.reachedEnd) ? rules.bonus : 0
+        },
+        {
+            // (Total Time - Elapsed Time) * time multiplier, shaped by the time policy
+            code: 'T',
+            label: 'Time Bonus',
+            points: timeBonus.points,
+            totalTimeInSeconds,
+            elapsedTotalSeconds: timeBonus.elapsed,
+            value: rules.timeMultiplier,
+            policy: rules.timePolicy,
+            note: timeBonus.note
+        },
+        ...getCustomComponents(rules).map(definition => ({
+            code: definition.key,
+            label: definition.name,
+            custom: true,
+            type: definition.type,
+            points: input.custom[definition.key] * definition.points,
+            count: input.custom[definition.key],
+            value: definition.points
+        }))
+    ];
+
+    return components;
+}
+
+// Variables a formula can use: run inputs (times in seconds), rule values,
+// component scores, custom component counts and the standard sum as `score`
+function buildFormulaVariables(input, rules, components) {
+    const points = code => getComponentPoints({ components }, code);
+    const totalTime = input.totalTime * 60;
+    const customPoints = components
+        .filter(component => component.custom)
+        .reduce((sum, component) => sum + component.points, 0);
+
+    return {
+        ...input.custom,
+        leftStart: input.leftStart ? 1 : 0,
+        reachedEnd: input.reachedEnd ? 1 : 0,
+        checkpoints: input.checkpoints,
+        restarts: input.restarts,
+        elapsed: roundElapsedSeconds(input.elapsedSeconds, rules),
+        totalTime,
+        remaining: totalTime - roundElapsedSeconds(input.elapsedSeconds, rules),
+        startPoint: rules.startPoint,
+        endPoint: rules.endPoint,
+        checkpoint: rules.checkpoint,
+        restart: rules.restart,
+        bonus: rules.bonus,
+        timeMultiplier: rules.timeMultiplier,
+        S: points('S'),
+        E: points('E'),
+        C: points('C'),
+        R: points('R'),
+        B: points('B'),
+        T: points('T'),
+        X: customPoints,
+        score: components.reduce((sum, component) => sum + component.points, 0)
+    };
+}
+
+// Every variable name available to formulas under the given rules
+function getFormulaVariableNames(scoringRules = DEFAULT_RULES) {
+    const rules = { ...DEFAULT_RULES, ...scoringRules };
+    const input = normalizeRunInput({}, rules);
+    return Object.keys(buildFormulaVariables(input, rules, computeComponents(input, rules)));
+}
+
+// Score a single run.
+// Returns the normalised input, the rules used, an ordered list of
+// S/E/C/R/B/T components (followed by custom ones) and the final score.
+// When the rules carry a formula, its result becomes the final score and an
+// F component holds the difference, so components always add up. Runs over
+// time under the disqualify policy get a D component cancelling the score.
+function computeScore(runInput, scoringRules = DEFAULT_RULES) {
+    const rules = { ...DEFAULT_RULES, ...scoringRules };
+    const input = normalizeRunInput(runInput, rules);
+    const components = computeComponents(input, rules);
+    const totalTimeInSeconds = input.totalTime * 60;
+    const elapsedTotalSeconds = roundElapsedSeconds(input.elapsedSeconds, rules);
+
+    let finalScore = components.reduce((sum, component) => sum + component.points, 0);
+
+    if (typeof rules.formula === 'string' && rules.formula.trim()) {
+        const variables = buildFormulaVariables(input, rules, components);
+        const formulaScore = getFormulaModule().evaluateFormula(rules.formula, variables);
+
+        components.push({
+            code: 'F',
+            label: 'Formula',
+            points: formulaScore - finalScore,
+            formula: rules.formula,
+            standardScore: finalScore,
+            formulaScore
+        });
+        finalScore = formulaScore;
+    }
+
+    const overtime = totalTimeInSeconds > 0 && elapsedTotalSeconds > totalTimeInSeconds;
+    const disqualified = overtime && rules.overtimePolicy === 'disqualify';
+
+    if (disqualified) {
+        components.push({
+            code: 'D',
+            label: 'Disqualified (over time)',
+            points: 0 - finalScore
+        });
+        finalScore = 0;
+    }
+
+    return {
+        input,
+        rules,
+        components,
+        totalTimeInSeconds,
+        elapsedTotalSeconds,
+        overtime,
+        disqualified,
+        finalScore
+    };
+}
+
+// Look up a single component's points by its S/E/C/R/B/T code
+function getComponentPoints(result, code) {
+    const component = result.components.find(c => c.code === code);
+    return component ? component.points : 0;
+}
+
+// ===== RULES FINGERPRINT =====
+
+// JSON with object keys sorted, so equal values always give the same text
+function toCanonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(toCanonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${toCanonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// 32-bit FNV-1a hash of a string. Quick to compare by eye, not a
+// cryptographic hash.
+function hashText(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Short code for a complete rule set, e.g. "3F2A-91C0". Missing rules count
+// as their defaults, so two devices showing the same code score identically.
+function getRulesFingerprint(rules) {
+    const complete = { ...DEFAULT_RULES, ...rules };
+    const canonical = toCanonicalJson(Object.fromEntries(Object.keys(DEFAULT_RULES).map(key => [key, complete[key]])));
+    const hex = hashText(canonical).toString(16).toUpperCase().padStart(8, '0');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_RULES,
+        BUILT_IN_PRESETS,
+        RULE_FIELDS,
+        CUSTOM_COMPONENT_TYPES,
+        SPLIT_TYPES,
+        TIME_POLICIES,
+        OVERTIME_POLICIES,
+        TIME_ROUNDING_MODES,
+        TIME_PRECISIONS,
+        roundElapsedSeconds,
+        computeTimeBonus,
+        getCheckpointList,
+        getCustomComponents,
+        computeComponents,
+        buildFormulaVariables,
+        getFormulaVariableNames,
+        normalizeRunInput,
+        buildSplitTimeline,
+        computeScore,
+        getComponentPoints,
+        hashText,
+        getRulesFingerprint
+    };
+}
@@ -0,0 +1,224 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - SHARE LINKS
+ * ========================================================================
+ *
+ * FEATURES:
+ * - Share: The current rules or any preset as a link, with the rules in
+ *   the URL fragment, plus a QR code of the link for phones at the field
+ * - Open: A page opened with such a link offers to load the rules through
+ *   the same preview and checks as a configuration file import; shared
+ *   presets are also saved under My Presets. Links with unknown settings
+ *   or custom component keys that aren't plain identifiers are refused
+ *   without a preview.
+ * - Offline: The fragment never reaches a server and the QR code is drawn
+ *   on this device (qr.js)
+ *
+ * LINK FORMAT:
+ *   index.html#rules=<base64url of { v, p, r }>
+ * `v` is the configuration format version (CONFIG_VERSION), `p` the preset
+ * name for shared presets, and `r` only the rules that differ from
+ * DEFAULT_RULES, which keeps links (and QR codes) short.
+ *
+ * ====================================================================== */
+
+const SHARE_FRAGMENT_KEY = 'rules';
+
+// ===== DATA =====
+
+function encodeBase64Url(text) {
+    const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+// The part of a share link after '#'
+function createShareFragment(rules, presetName = null) {
+    const changed = Object.keys(DEFAULT_RULES)
+        .filter(key => JSON.stringify(rules[key]) !== JSON.stringify(DEFAULT_RULES[key]));
+    const payload = {
+        v: CONFIG_VERSION,
+        ...(presetName ? { p: presetName } : {}),
+        r: Object.fromEntries(changed.map(key => [key, rules[key]]))
+    };
+    return `${SHARE_FRAGMENT_KEY}=${encodeBase64Url(JSON.stringify(payload))}`;
+}
+
+function createShareLink(rules, presetName = null, pageUrl = location.href) {
+    return `${pageUrl.split('#')[0]}#${createShareFragment(rules, presetName)}`;
+}
+
+// Turn a location hash back into a configuration file for validateConfig().
+// Returns null when the hash is not a share link and throws when it is one
+// that can't be read (cut off while copying, for example).
+function readShareFragment(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(SHARE_FRAGMENT_KEY);
+    if (encoded === null) {
+        return null;
+    }
+
+    const payload = JSON.parse(decodeBase64Url(encoded));
+    if (!isPlainObject(payload)) {
+        throw new Error('Share link does not contain a rule set');
+    }
+
+    checkSharedRuleKeys(payload.r);
+
+    const presetName = typeof payload.p === 'string' && payload.p.trim() ? payload.p.trim() : null;
+    return {
+        presetName,
+        config: {
+            name: presetName || 'Shared rules',
+            version: payload.v,
+            // Anything but an object is left for validateConfig to reject
+            rules: isPlainObject(payload.r) ? { ...DEFAULT_RULES, ...payload.r } : payload.r
+        }
+    };
+}
+
+// Keys of shared rules end up in the page as element ids and formula
+// names, so a link with an unknown setting or a custom component key that
+// isn't a plain identifier is refused before anything is previewed
+function checkSharedRuleKeys(rules) {
+    if (!isPlainObject(rules)) {
+        return;
+    }
+
+    const unknown = Object.keys(rules).find(key => !Object.prototype.hasOwnProperty.call(DEFAULT_RULES, key));
+    if (unknown !== undefined) {
+        throw new Error(`Share link has an unknown setting "${unknown}"`);
+    }
+
+    const components = rules.customComponents;
+    if (components !== undefined && (!Array.isArray(components) ||
+        components.some(component => !isPlainObject(component) || getComponentKeyError(component.key)))) {
+        throw new Error('Share link has a custom component with an invalid key');
+    }
+}
+
+// QR code of a link, at the highest error correction level it fits in
+function createShareQrCode(link) {
+    try {
+        return createQrCode(link, 'M');
+    } catch (e) {
+        return createQrCode(link, 'L');
+    }
+}
+
+// ===== UI =====
+
+// Rules and preset name for the share modal's selection ('' = current rules)
+function getShareSelection(presetKey) {
+    if (!presetKey) {
+        return { rules: { ...DEFAULT_RULES, ...scoringRules }, presetName: null };
+    }
+    return { rules: { ...DEFAULT_RULES, ...getPresetRules(presetKey) }, presetName: getPresetName(presetKey) };
+}
+
+function renderShareLink() {
+    const { rules, presetName } = getShareSelection(document.getElementById('share-source').value);
+    const link = createShareLink(rules, presetName);
+    const qrContainer = document.getElementById('share-qr');
+    const info = document.getElementById('share-link-info');
+
+    document.getElementById('share-link-input').value = link;
+
+    try {
+        qrContainer.innerHTML = renderQrSvg(createShareQrCode(link));
+        info.textContent = `${link.length} characters`;
+        info.classList.remove('error');
+    } catch (e) {
+        qrContainer.innerHTML = '';
+        info.textContent = 'Too many rules for a QR code. Copy the link instead.';
+        info.classList.add('error');
+    }
+}
+
+function openShareModal() {
+    updatePresetDropdown(document.getElementById('share-source'), 'Current rules');
+    renderShareLink();
+    document.getElementById('share-modal').classList.add('active');
+}
+
+// Save a shared preset under My Presets, unless the same rules are already
+// saved under that name. Taken names get a number, e.g. "Regional (2)".
+function saveSharedPreset(name, rules) {
+    const existing = BUILT_IN_PRESETS[name] || userPresets[name];
+    if (existing && diffRules({ ...DEFAULT_RULES, ...existing }, rules).length === 0) {
+        return name;
+    }
+
+    const freeName = existing ? getFreePresetName(name, userPresets) : name;
+    userPresets[freeName] = rules;
+    saveUserPresets();
+    updatePresetDropdown();
+    return freeName;
+}
+
+// Offer the rules in the page's share link, if it has one. The fragment is
+// removed right away so reloading the page doesn't ask again.
+function openSharedRulesLink() {
+    let shared;
+    try {
+        shared = readShareFragment(location.hash);
+    } catch (e) {
+        console.error('Share link error:', e);
+        shared = undefined;
+    }
+
+    if (shared === null) {
+        return;
+    }
+    history.replaceState(null, '', location.pathname + location.search);
+
+    if (!shared) {
+        showToast('This share link is damaged, incomplete or has settings that can\'t be used', 'error');
+        return;
+    }
+
+    if (isJudgeLocked()) {
+        showToast('Settings are locked. Unlock them to load shared rules.', 'error');
+        return;
+    }
+
+    previewConfigImport(shared.config,
+        shared.presetName ? `shared preset "${shared.presetName}"` : 'a shared link',
+        shared.presetName);
+}
+
+// ===== INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', function() {
+    const shareModal = document.getElementById('share-modal');
+
+    function closeShareModal() {
+        shareModal.classList.remove('active');
+    }
+
+    document.getElementById('share-config-btn').addEventListener('click', openShareModal);
+    document.getElementById('share-source').addEventListener('change', renderShareLink);
+
+    document.getElementById('copy-share-link').addEventListener('click', function() {
+        navigator.clipboard.writeText(document.getElementById('share-link-input').value).then(() => {
+            showToast('Share link copied to clipboard', 'success');
+        }).catch(() => {
+            showToast('Failed to copy to clipboard', 'error');
+        });
+    });
+
+    document.getElementById('share-link-input').addEventListener('focus', e => e.target.select());
+
+    document.getElementById('close-share-modal').addEventListener('click', closeShareModal);
+    document.getElementById('done-share').addEventListener('click', closeShareModal);
+    shareModal.addEventListener('click', function(e) {
+        if (e.target === shareModal) {
+            closeShareModal();
+        }
+    });
+
+    // A link pasted into a tab that is already open only changes the hash
+    window.addEventListener('hashchange', openSharedRulesLink);
+});
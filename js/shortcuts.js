@@ -0,0 +1,296 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - KEYBOARD SHORTCUTS
+ * ========================================================================
+ *
+ * FEATURES:
+ * - Command Layer: Judge actions are named commands that the page
+ *   registers handlers for; keys only ever trigger commands
+ * - Configurable Bindings: Any number of keys per command, stored in
+ *   LocalStorage, so presentation clickers and foot pedals (which send
+ *   ordinary key events such as PageDown) can be bound too
+ * - Help Overlay: Lists every command with its keys and lets the judge
+ *   rebind them
+ *
+ * ====================================================================== */
+
+// Commands that can be bound to keys, in help overlay order.
+// Clicker "next" / "previous" (PageDown / PageUp) are bound by default.
+const SHORTCUT_COMMANDS = {
+    toggleStopwatch: { label: 'Start / pause stopwatch', defaultKeys: [' '] },
+    addCheckpoint: { label: '+ Checkpoint', defaultKeys: ['c', 'PageDown'] },
+    addRestart: { label: '+ Restart', defaultKeys: ['r', 'PageUp'] },
+    toggleStartPoint: { label: 'Toggle start point (S)', defaultKeys: ['s'] },
+    toggleEndPoint: { label: 'Toggle end point (E)', defaultKeys: ['e'] },
+    calculate: { label: 'Calculate score', defaultKeys: ['Enter'] },
+    resetStopwatch: { label: 'Reset stopwatch (press again to confirm)', defaultKeys: ['Backspace'] },
+    undo: { label: 'Undo last action', defaultKeys: ['z'] },
+    redo: { label: 'Redo', defaultKeys: ['y'] },
+    nextArena: { label: 'Select next arena (arena board)', defaultKeys: ['a'] },
+    showShortcuts: { label: 'Show this help', defaultKeys: ['?'] }
+};
+
+// Keys that keep their built-in meaning and can't be bound
+const RESERVED_SHORTCUT_KEYS = ['Escape', 'Tab'];
+
+let shortcutBindings = {};
+const commandHandlers = {};
+
+// ===== COMMANDS =====
+
+// Register the function that carries out a command
+function registerCommand(command, handler) {
+    commandHandlers[command] = handler;
+}
+
+// Run a command by name. Returns false if nothing handles it.
+function runCommand(command) {
+    const handler = commandHandlers[command];
+    if (!handler) {
+        return false;
+    }
+    handler();
+    return true;
+}
+
+// ===== BINDINGS =====
+
+function getDefaultShortcutBindings() {
+    return Object.fromEntries(Object.entries(SHORTCUT_COMMANDS)
+        .map(([command, definition]) => [command, [...definition.defaultKeys]]));
+}
+
+// Load key bindings from localStorage; unknown commands are dropped and
+// commands added since the bindings were saved get their defaults
+function loadShortcutBindings() {
+    shortcutBindings = getDefaultShortcutBindings();
+
+    const saved = localStorage.getItem('lfrShortcuts');
+    if (!saved) {
+        return;
+    }
+
+    try {
+        const parsed = JSON.parse(saved);
+        Object.keys(SHORTCUT_COMMANDS).forEach(command => {
+            if (Array.isArray(parsed[command])) {
+                shortcutBindings[command] = parsed[command].filter(key => typeof key === 'string');
+            }
+        });
+    } catch (e) {
+        console.error('Error loading shortcuts:', e);
+    }
+}
+
+function saveShortcutBindings() {
+    localStorage.setItem('lfrShortcuts', JSON.stringify(shortcutBindings));
+}
+
+// Key identifier for a keydown event: letters are case-insensitive,
+// everything else uses the browser's key name (" ", "PageDown", "F5", ...)
+function normalizeShortcutKey(event) {
+    return event.key.length === 1 ? event.key.toLowerCase() : event.key;
+}
+
+// Label shown on key chips, e.g. "Space", "C", "PageDown"
+function describeShortcutKey(key) {
+    if (key === ' ') {
+        return 'Space';
+    }
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+function findCommandForKey(key) {
+    return Object.keys(shortcutBindings).find(command => shortcutBindings[command].includes(key)) || null;
+}
+
+// Bind a key to a command, taking it away from any other command.
+// Returns the command the key was taken from, if any. Throws on reserved keys.
+function bindShortcutKey(command, key) {
+    if (RESERVED_SHORTCUT_KEYS.includes(key)) {
+        throw new Error(`${describeShortcutKey(key)} can't be used as a shortcut`);
+    }
+
+    const previous = findCommandForKey(key);
+    if (previous) {
+        shortcutBindings[previous] = shortcutBindings[previous].filter(k => k !== key);
+    }
+
+    shortcutBindings[command].push(key);
+    saveShortcutBindings();
+    return previous === command ? null : previous;
+}
+
+function unbindShortcutKey(command, key) {
+    shortcutBindings[command] = shortcutBindings[command].filter(k => k !== key);
+    saveShortcutBindings();
+}
+
+function resetShortcutBindings() {
+    shortcutBindings = getDefaultShortcutBindings();
+    saveShortcutBindings();
+}
+
+// Shortcuts are off while typing into a field; checkboxes and buttons
+// keep focus after a click, so they don't count as typing
+function isTypingTarget(element) {
+    if (!element || !element.tagName) {
+        return false;
+    }
+    if (element.isContentEditable || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') {
+        return true;
+    }
+    return element.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit'].includes(element.type);
+}
+
+// Enter on a focused button or link already activates it, so a bound
+// Enter leaves those alone instead of running a second action
+function isActivationKey(e) {
+    return e.key === 'Enter' && typeof e.target.closest === 'function' &&
+        Boolean(e.target.closest('button, a[href], summary, input[type="button"], input[type="submit"]'));
+}
+
+// ===== UI =====
+
+function renderShortcutList() {
+    const container = document.getElementById('shortcut-list');
+
+    container.innerHTML = Object.entries(SHORTCUT_COMMANDS).map(([command, definition]) => {
+        const keys = shortcutBindings[command].map(key => `
+                <span class="shortcut-key">
+                    ${escapeHtml(describeShortcutKey(key))}
+                    <button type="button" class="shortcut-key-remove" data-unbind-command="${command}" data-unbind-key="${escapeHtml(key)}" title="Remove key">&times;</button>
+                </span>`).join('');
+
+        return `
+        <div class="shortcut-row">
+            <span class="shortcut-label">${definition.label}</span>
+            <span class="shortcut-keys">
+                ${keys || '<span class="shortcut-none">No key</span>'}
+                <button type="button" class="preset-btn shortcut-add" data-bind-command="${command}">+ Key</button>
+            </span>
+        </div>`;
+    }).join('');
+}
+
+// ===== INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', function() {
+    const shortcutsModal = document.getElementById('shortcuts-modal');
+    const shortcutsIcon = document.getElementById('shortcuts-icon');
+    const closeShortcutsModalBtn = document.getElementById('close-shortcuts-modal');
+
+    // Command waiting for its next key press in the help overlay
+    let capturingCommand = null;
+
+    function openShortcutsModal() {
+        renderShortcutList();
+        shortcutsModal.classList.add('active');
+    }
+
+    function stopCapturing() {
+        capturingCommand = null;
+        renderShortcutList();
+    }
+
+    registerCommand('showShortcuts', openShortcutsModal);
+
+    shortcutsIcon.addEventListener('click', openShortcutsModal);
+
+    closeShortcutsModalBtn.addEventListener('click', function() {
+        stopCapturing();
+        shortcutsModal.classList.remove('active');
+    });
+
+    shortcutsModal.addEventListener('click', function(e) {
+        if (e.target === shortcutsModal) {
+            stopCapturing();
+            shortcutsModal.classList.remove('active');
+        }
+    });
+
+    // Add / remove keys (delegated)
+    document.getElementById('shortcut-list').addEventListener('click', function(e) {
+        const bindBtn = e.target.closest('[data-bind-command]');
+        const unbindBtn = e.target.closest('[data-unbind-command]');
+
+        if (bindBtn) {
+            renderShortcutList();
+            capturingCommand = bindBtn.dataset.bindCommand;
+            const captureBtn = document.querySelector(`[data-bind-command="${capturingCommand}"]`);
+            captureBtn.textContent = 'Press a key…';
+            captureBtn.classList.add('capturing');
+        } else if (unbindBtn) {
+            unbindShortcutKey(unbindBtn.dataset.unbindCommand, unbindBtn.dataset.unbindKey);
+            renderShortcutList();
+        }
+    });
+
+    document.getElementById('reset-shortcuts').addEventListener('click', function() {
+        resetShortcutBindings();
+        stopCapturing();
+        showToast('Shortcuts reset to defaults', 'success');
+    });
+
+    // Capture runs first so the pressed key is bound rather than executed
+    document.addEventListener('keydown', function(e) {
+        if (!capturingCommand) {
+            return;
+        }
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+
+        if (e.key === 'Escape') {
+            stopCapturing();
+            return;
+        }
+
+        const key = normalizeShortcutKey(e);
+        try {
+            const takenFrom = bindShortcutKey(capturingCommand, key);
+            if (takenFrom) {
+                showToast(`${escapeHtml(describeShortcutKey(key))} moved from "${SHORTCUT_COMMANDS[takenFrom].label}"`, 'success');
+            }
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+        stopCapturing();
+    }, true);
+
+    // Dispatch bound keys to their commands. Ignored while typing, on Enter
+    // at a focused button or link, while a dialog is open and when
+    // Ctrl / Alt / Cmd is held. A held key (or a pedal that auto-repeats)
+    // runs its command once.
+    document.addEventListener('keydown', function(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target) || isActivationKey(e)) {
+            return;
+        }
+
+        if (e.repeat) {
+            // Still keep a held Space from scrolling the page
+            if (findCommandForKey(normalizeShortcutKey(e))) {
+                e.preventDefault();
+            }
+            return;
+        }
+
+        const dialogOpen = document.querySelector('.modal-overlay.active, .save-preset-modal.active');
+        if (dialogOpen) {
+            return;
+        }
+
+        const command = findCommandForKey(normalizeShortcutKey(e));
+        if (command && runCommand(command)) {
+            e.preventDefault();
+        }
+    });
+
+    // Space on a focused button or checkbox activates it on keyup, which
+    // would repeat the action a bound Space just ran
+    document.addEventListener('keyup', function(e) {
+        if (!isTypingTarget(e.target) && findCommandForKey(normalizeShortcutKey(e))) {
+            e.preventDefault();
+        }
+    });
+
+    loadShortcutBindings();
+});
@@ -0,0 +1,361 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - LIVE SYNC
+ * ========================================================================
+ *
+ * Mirrors the run in progress, calculated results and event data between
+ * open pages in real time.
+ *
+ * TRANSPORTS:
+ * - Tabs: BroadcastChannel, always on when the browser supports it
+ * - Devices: WebSocket to a self-hosted relay (tools/sync-relay.js) that
+ *   forwards every message to all other connected clients
+ * - Anything else: an object with send(message), onMessage(handler) and
+ *   close() can be plugged in with syncHub.addTransport()
+ *
+ * MESSAGES: { id, type, payload, origin, sentAt }
+ * - hello:     a page has opened and wants the current state
+ * - runState:  run history (see run-state.js), the selected team and the
+ *              time allotted on the judge page's form
+ * - result:    a computeScore() result and the team it was for
+ * - eventData: teams, run log, rounds and the active round, with the ids
+ *              of removed ones
+ *
+ * Pages merge what they receive instead of adopting it wholesale. Synced
+ * records (teams, runs, rounds and the run in progress) carry a revision
+ * `rev` that is raised with every local change, and a snapshot never takes
+ * a record back to an older revision. Removed records leave their id and
+ * last revision behind, so a snapshot that still has them doesn't bring
+ * them back.
+ *
+ * Stopwatch anchors are shared as epoch-based readings, so devices are
+ * assumed to keep their clocks in sync (phones and laptops on network
+ * time do). Any skew only offsets the live display on the other device;
+ * paused times are absolute.
+ *
+ * ====================================================================== */
+
+const SYNC_CHANNEL = 'lfr-score-sync';
+
+// Message ids remembered for de-duplication (a tab can hear the same
+// message over BroadcastChannel and the relay)
+const SYNC_SEEN_LIMIT = 500;
+
+// Messages held while the relay connection is not open, oldest dropped first
+const SYNC_QUEUE_LIMIT = 100;
+
+let syncHub = null;
+let relayTransport = null;
+
+// ===== TRANSPORTS =====
+
+function createBroadcastChannelTransport(name = SYNC_CHANNEL) {
+    const channel = new BroadcastChannel(name);
+    return {
+        name: 'tabs',
+        send: message => channel.postMessage(message),
+        onMessage: handler => {
+            channel.onmessage = event => handler(event.data);
+        },
+        close: () => channel.close()
+    };
+}
+
+// WebSocket client that reconnects with backoff. Messages sent while the
+// socket is not open (e.g. the "hello" a page publishes as it loads) are
+// queued and flushed once it opens.
+// onStatus receives 'connecting', 'connected', 'disconnected' or 'off'.
+function createWebSocketTransport(url, onStatus = () => {}) {
+    let socket = null;
+    let handler = () => {};
+    let queue = [];
+    let closed = false;
+    let retryDelay = 1000;
+    let retryTimer = null;
+
+    function connect() {
+        onStatus('connecting');
+        socket = new WebSocket(url);
+
+        socket.onopen = () => {
+            retryDelay = 1000;
+            queue.forEach(message => socket.send(JSON.stringify(message)));
+            queue = [];
+            onStatus('connected');
+        };
+
+        socket.onmessage = event => {
+            try {
+                handler(JSON.parse(event.data));
+            } catch (e) {
+                console.error('Ignoring malformed sync message:', e);
+            }
+        };
+
+        socket.onclose = () => {
+            if (closed) {
+                return;
+            }
+            onStatus('disconnected');
+            retryTimer = setTimeout(connect, retryDelay);
+            retryDelay = Math.min(retryDelay * 2, 30000);
+        };
+    }
+
+    connect();
+
+    return {
+        name: 'relay',
+        send: message => {
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify(message));
+            } else if (!closed) {
+                queue.push(message);
+                if (queue.length > SYNC_QUEUE_LIMIT) {
+                    queue.shift();
+                }
+            }
+        },
+        onMessage: h => {
+            handler = h;
+        },
+        close: () => {
+            closed = true;
+            queue = [];
+            clearTimeout(retryTimer);
+            socket.close();
+            onStatus('off');
+        }
+    };
+}
+
+// ===== HUB =====
+
+// Fans published messages out to every transport and hands received ones
+// to subscribers. A page never receives its own messages.
+function createSyncHub(clientId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`) {
+    const transports = [];
+    const subscribers = {};
+    const seen = [];
+    let sequence = 0;
+
+    function receive(message) {
+        if (!message || message.origin === clientId || seen.includes(message.id)) {
+            return;
+        }
+
+        seen.push(message.id);
+        if (seen.length > SYNC_SEEN_LIMIT) {
+            seen.shift();
+        }
+
+        (subscribers[message.type] || []).forEach(handler => {
+            try {
+                handler(message.payload, message);
+            } catch (e) {
+                console.error(`Error handling "${message.type}" sync message:`, e);
+            }
+        });
+    }
+
+    return {
+        clientId,
+
+        addTransport(transport) {
+            transports.push(transport);
+            transport.onMessage(receive);
+            return transport;
+        },
+
+        removeTransport(transport) {
+            const index = transports.indexOf(transport);
+            if (index !== -1) {
+                transports.splice(index, 1);
+                transport.close();
+            }
+        },
+
+        publish(type, payload = null) {
+            const message = {
+                id: `${clientId}-${++sequence}`,
+                type,
+                payload,
+                origin: clientId,
+                sentAt: Date.now()
+            };
+            transports.forEach(transport => transport.send(message));
+        },
+
+        subscribe(type, handler) {
+            (subscribers[type] = subscribers[type] || []).push(handler);
+        }
+    };
+}
+
+// ===== MERGING =====
+
+// Revision of a synced record; 0 for data saved before revisions existed
+function getRevision(record) {
+    return record && Number.isInteger(record.rev) ? record.rev : 0;
+}
+
+// Whether `incoming` should replace `current`. Equal revisions that differ
+// (changed on two pages at once) are settled the same way on every page.
+function isNewerRecord(incoming, current) {
+    const difference = getRevision(incoming) - getRevision(current);
+    if (difference !== 0) {
+        return difference > 0;
+    }
+    return JSON.stringify(incoming) > JSON.stringify(current);
+}
+
+// Removed record ids ({ id: revision }) of two pages, keeping the later
+// removal of each
+function mergeRemovedIds(local, incoming = {}) {
+    const merged = { ...local };
+    Object.entries(incoming).forEach(([id, rev]) => {
+        if (!Object.prototype.hasOwnProperty.call(merged, id) || rev > merged[id]) {
+            merged[id] = rev;
+        }
+    });
+    return merged;
+}
+
+// Two lists of records combined by id: each record at its newest revision,
+// without the ones removed at that revision or later. Local records keep
+// their order and new ones follow.
+function mergeRecords(local, incoming, removedIds = {}) {
+    const merged = new Map();
+    [...local, ...incoming].forEach(record => {
+        const current = merged.get(record.id);
+        if (!current || isNewerRecord(record, current)) {
+            merged.set(record.id, record);
+        }
+    });
+    return [...merged.values()].filter(record =>
+        !Object.prototype.hasOwnProperty.call(removedIds, record.id) || getRevision(record) > removedIds[record.id]);
+}
+
+// Whether `records` has anything `others` lacks or holds at another
+// revision, i.e. the page that sent `others` should hear from us
+function hasNewerRecords(records, others) {
+    const known = new Map(others.map(record => [record.id, JSON.stringify(record)]));
+    return records.length !== others.length ||
+        records.some(record => known.get(record.id) !== JSON.stringify(record));
+}
+
+// ===== PAGE API =====
+
+// Relay settings shared by every page on this device
+function loadSyncSettings() {
+    try {
+        return { relayUrl: '', relayEnabled: false, ...JSON.parse(localStorage.getItem('lfrSync')) };
+    } catch (e) {
+        console.error('Error loading sync settings:', e);
+        return { relayUrl: '', relayEnabled: false };
+    }
+}
+
+function saveSyncSettings(settings) {
+    localStorage.setItem('lfrSync', JSON.stringify(settings));
+}
+
+// Check a relay address before connecting. Returns an error message or null.
+function validateRelayUrl(url) {
+    if (!/^wss?:\/\/[^\s/]+/.test(url)) {
+        return 'Relay address must start with ws:// or wss://';
+    }
+    if (typeof location !== 'undefined' && location.protocol === 'https:' && url.startsWith('ws://')) {
+        return 'This page is served over HTTPS, so the relay needs a wss:// address';
+    }
+    return null;
+}
+
+// Create the hub with the tab transport; pages subscribe after this
+function startSync() {
+    syncHub = createSyncHub();
+    if (typeof BroadcastChannel !== 'undefined') {
+        syncHub.addTransport(createBroadcastChannelTransport());
+    }
+}
+
+function connectRelay(url, onStatus) {
+    disconnectRelay();
+    relayTransport = syncHub.addTransport(createWebSocketTransport(url, onStatus));
+}
+
+function disconnectRelay() {
+    if (relayTransport) {
+        syncHub.removeTransport(relayTransport);
+        relayTransport = null;
+    }
+}
+
+function publishSync(type, payload) {
+    if (syncHub) {
+        syncHub.publish(type, payload);
+    }
+}
+
+function subscribeSync(type, handler) {
+    if (syncHub) {
+        syncHub.subscribe(type, handler);
+    }
+}
+
+// ===== INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', function() {
+    startSync();
+
+    const settings = loadSyncSettings();
+    const relayUrlInput = document.getElementById('sync-relay-url');
+    const relayStatus = document.getElementById('sync-relay-status');
+    const relayToggleBtn = document.getElementById('sync-relay-toggle');
+
+    // Relay settings only exist on the judge page. Elsewhere (display.html)
+    // the relay comes from ?relay=ws://... or this device's saved settings.
+    if (!relayUrlInput) {
+        const relayUrl = new URLSearchParams(location.search).get('relay') ||
+            (settings.relayEnabled ? settings.relayUrl : '');
+        if (relayUrl) {
+            connectRelay(relayUrl, () => {});
+        }
+        return;
+    }
+
+    const STATUS_LABELS = {
+        connecting: 'Connecting…',
+        connected: 'Connected',
+        disconnected: 'Connection lost — retrying',
+        off: 'Not connected'
+    };
+
+    function showRelayStatus(status) {
+        relayStatus.textContent = STATUS_LABELS[status];
+        relayStatus.className = `sync-status ${status}`;
+        relayToggleBtn.textContent = status === 'off' ? 'Connect' : 'Disconnect';
+    }
+
+    relayUrlInput.value = settings.relayUrl;
+    showRelayStatus('off');
+    if (settings.relayEnabled && settings.relayUrl) {
+        connectRelay(settings.relayUrl, showRelayStatus);
+    }
+
+    relayToggleBtn.addEventListener('click', function() {
+        if (relayTransport) {
+            disconnectRelay();
+            saveSyncSettings({ ...loadSyncSettings(), relayEnabled: false });
+            return;
+        }
+
+        const url = relayUrlInput.value.trim();
+        const error = validateRelayUrl(url);
+        if (error) {
+            showToast(error, 'error');
+            return;
+        }
+
+        saveSyncSettings({ relayUrl: url, relayEnabled: true });
+        connectRelay(url, showRelayStatus);
+    });
+});
@@ -0,0 +1,255 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - TOURNAMENT ROUNDS
+ * ========================================================================
+ *
+ * DOM-free helpers for events run in rounds, e.g. qualification followed
+ * by a final round or a knockout bracket for the top 8:
+ *
+ *   { id, name, presetName, rules, format, sourceRoundId, advanceCount,
+ *     teamIds, matchAttempts, closedMatches }
+ *
+ * - Each round is scored and ranked with its own rules (copied from a
+ *   preset when the round is created)
+ * - A round can take the top N teams of an earlier ranked round; they
+ *   are seeded into `teamIds` in standings order when the round starts
+ * - Knockout rounds pair seeds 1 v 8, 4 v 5, 2 v 7, 3 v 6 and so on; each
+ *   match is decided by ranking the two teams' runs in that stage, once
+ *   both have made the round's `matchAttempts` runs (1 for rounds from
+ *   before the setting) or the judge has closed it (`closedMatches`)
+ *
+ * Runs recorded before rounds were set up have no roundId and count as
+ * runs of the first round.
+ *
+ * Like ranking.js, this file works both as a page script and as a
+ * CommonJS module from Node.
+ *
+ * ====================================================================== */
+
+const ROUND_FORMATS = {
+    standings: 'Ranked round',
+    knockout: 'Knockout bracket'
+};
+
+// ranking.js is a global in the page and a sibling module in Node
+function getTournamentRankingModule() {
+    return typeof buildLeaderboard === 'function'
+        ? { buildLeaderboard }
+        : require('./ranking.js');
+}
+
+// ===== ROUNDS =====
+
+function findRound(rounds, roundId) {
+    return rounds.find(round => round.id === roundId) || null;
+}
+
+// The round a run belongs to (runs from before rounds count as the first)
+function getRunRoundId(run, rounds) {
+    return run.roundId || (rounds.length > 0 ? rounds[0].id : null);
+}
+
+function getRoundRuns(rounds, runLog, roundId) {
+    return runLog.filter(run => getRunRoundId(run, rounds) === roundId);
+}
+
+// Teams taking part, in seed order once the round has been seeded
+function getRoundTeams(round, teams) {
+    if (!round.teamIds) {
+        return teams;
+    }
+    return round.teamIds
+        .map(teamId => teams.find(team => team.id === teamId))
+        .filter(Boolean);
+}
+
+function buildRoundStandings(round, rounds, teams, runLog) {
+    return getTournamentRankingModule().buildLeaderboard(
+        getRoundTeams(round, teams), getRoundRuns(rounds, runLog, round.id), round.rules);
+}
+
+// Teams ranked within the top `count`, best first. Teams tied at the cut
+// all go through.
+function getAdvancingTeams(standings, count) {
+    return standings
+        .filter(entry => entry.rank !== null && entry.rank <= count)
+        .map(entry => entry.team);
+}
+
+// Teams a round would start with now: the top N of its source round, or
+// every team for a round open to all
+function getQualifiedTeams(round, rounds, teams, runLog) {
+    const source = findRound(rounds, round.sourceRoundId);
+    if (!source) {
+        return teams;
+    }
+    return getAdvancingTeams(buildRoundStandings(source, rounds, teams, runLog), round.advanceCount);
+}
+
+// ===== KNOCKOUT =====
+
+// Name of a bracket stage by the number of teams in it
+function getStageName(teamCount) {
+    switch (teamCount) {
+        case 2: return 'Final';
+        case 4: return 'Semi-finals';
+        case 8: return 'Quarter-finals';
+        default: return `Round of ${teamCount}`;
+    }
+}
+
+// Bracket slots for a number of teams: the next power of two, at least 2
+function getBracketSize(teamCount) {
+    let size = 2;
+    while (size < teamCount) {
+        size *= 2;
+    }
+    return size;
+}
+
+// Name of a stage of a seeded knockout round ("Semi-finals")
+function getRoundStageName(round, stage) {
+    const size = getBracketSize(round.teamIds ? round.teamIds.length : 0);
+    return getStageName(Math.max(2, size / Math.pow(2, stage)));
+}
+
+// Bracket positions of seeds 1..size, so the top seeds meet last:
+// 8 teams gives [1, 8, 4, 5, 2, 7, 3, 6]
+function getBracketSeedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const count = order.length * 2;
+        order = order.flatMap(seed => [seed, count + 1 - seed]);
+    }
+    return order;
+}
+
+// Runs each team makes in a knockout match
+function getMatchAttempts(round) {
+    return round.matchAttempts || 1;
+}
+
+// Every stage of a knockout round with its matches. A match slot is
+// { team, seed }, { bye: true } or null while the previous match is open.
+// Match status: 'bye', 'waiting' (a team isn't known yet), 'open' or
+// 'decided'. Matches are keyed "stage-index" for closing them early.
+function buildBracket(round, teams, runs) {
+    const seeds = getRoundTeams(round, teams);
+    let slots = getBracketSeedOrder(getBracketSize(seeds.length)).map(seed => seeds[seed - 1]
+        ? { team: seeds[seed - 1], seed }
+        : { bye: true });
+    const stages = [];
+
+    for (let stage = 0; slots.length > 1; stage++) {
+        const matches = [];
+        for (let i = 0; i < slots.length; i += 2) {
+            matches.push(buildMatch(round, stage, i / 2, [slots[i], slots[i + 1]], runs));
+        }
+        stages.push({ name: getStageName(slots.length), matches });
+        slots = matches.map(match => match.winner);
+    }
+
+    const final = stages.length > 0 ? stages[stages.length - 1].matches[0] : null;
+    return {
+        stages,
+        champion: final && final.winner && final.winner.team ? final.winner.team : null
+    };
+}
+
+function buildMatch(round, stage, index, slots, runs) {
+    const match = {
+        key: `${stage}-${index}`,
+        stage,
+        slots,
+        entries: [],
+        attempts: getMatchAttempts(round),
+        closed: false,
+        status: 'waiting',
+        winner: null
+    };
+    const [a, b] = slots;
+
+    if (!a || !b) {
+        return match;
+    }
+    if (a.bye || b.bye) {
+        match.status = 'bye';
+        match.winner = a.bye ? b : a;
+        return match;
+    }
+
+    const stageRuns = runs.filter(run => run.stage === stage &&
+        (run.teamId === a.team.id || run.teamId === b.team.id));
+    match.entries = getTournamentRankingModule().buildLeaderboard([a.team, b.team], stageRuns, round.rules);
+    match.closed = (round.closedMatches || []).includes(match.key);
+    match.status = 'open';
+
+    // Decided once both teams have made their runs (or the judge closed
+    // the match) and the rules separate them
+    const finished = match.closed || match.entries.every(entry => entry.runs.length >= match.attempts);
+    if (finished && isMatchSeparated(match)) {
+        const [first] = match.entries;
+        match.status = 'decided';
+        match.winner = first.team.id === a.team.id ? a : b;
+    }
+    return match;
+}
+
+// Whether the runs so far give an open match a winner
+function isMatchSeparated(match) {
+    const [first, second] = match.entries;
+    return first.score !== null && (second.score === null || first.rank !== second.rank);
+}
+
+// Whether a team can make another run in an open match: while it has runs
+// left, or to break a tie once both teams have used theirs
+function canRunInMatch(match, teamId) {
+    const entry = match.entries.find(e => e.team.id === teamId);
+    return match.status === 'open' && Boolean(entry) && (entry.runs.length < match.attempts ||
+        match.entries.every(e => e.runs.length >= match.attempts));
+}
+
+// The stage a team runs in next, or null when it is out, has used its runs
+// in an open match, is waiting for an opponent or has won the bracket
+function getTeamStage(bracket, teamId) {
+    for (const stage of bracket.stages) {
+        const match = stage.matches.find(m => canRunInMatch(m, teamId));
+        if (match) {
+            return match.stage;
+        }
+    }
+    return null;
+}
+
+// A match of a bracket by its key, or null
+function findMatch(bracket, key) {
+    for (const stage of bracket.stages) {
+        const match = stage.matches.find(m => m.key === key);
+        if (match) {
+            return match;
+        }
+    }
+    return null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ROUND_FORMATS,
+        findRound,
+        getRunRoundId,
+        getRoundRuns,
+        getRoundTeams,
+        buildRoundStandings,
+        getAdvancingTeams,
+        getQualifiedTeams,
+        getStageName,
+        getBracketSize,
+        getRoundStageName,
+        getBracketSeedOrder,
+        getMatchAttempts,
+        buildBracket,
+        isMatchSeparated,
+        canRunInMatch,
+        getTeamStage,
+        findMatch
+    };
+}
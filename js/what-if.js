@@ -0,0 +1,226 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - WHAT-IF COMPARISON
+ * ========================================================================
+ *
+ * FEATURES:
+ * - Rule sets: Two to four presets (or the current rules) chosen from the
+ *   usual preset list; the first is the baseline
+ * - Standings: Every team's rank and score under each rule set, with
+ *   places gained or lost and the score change against the baseline,
+ *   broken down by component
+ * - Components: Average points per run of each component under each rule
+ *   set
+ * - Scope: All recorded runs or the runs of one round
+ *
+ * Nothing is saved or changed: the runs are re-scored from their raw
+ * inputs (see rescoring.js) each time the tab is drawn.
+ *
+ * ====================================================================== */
+
+const WHAT_IF_LIMIT = 4;
+
+// Preset keys being compared ('' for the current rules), baseline first
+let whatIfPresetKeys = ['', `builtin:${Object.keys(BUILT_IN_PRESETS)[0]}`];
+
+// ===== RULE SETS =====
+
+// Name and rules of a compared preset. The selects are only refreshed when
+// the tab opens, so a preset deleted since (here, in another tab or by
+// sync) falls back to the current rules.
+function getWhatIfScenario(presetKey) {
+    const rules = presetKey ? getPresetRules(presetKey) : null;
+    if (!rules) {
+        return { name: 'Current rules', rules: scoringRules };
+    }
+    return { name: getPresetName(presetKey), rules };
+}
+
+// Rebuild the preset selects, e.g. after presets were saved or deleted.
+// A preset that no longer exists falls back to the current rules.
+function renderWhatIfPresetSelects() {
+    const container = document.getElementById('whatif-presets');
+    whatIfPresetKeys = whatIfPresetKeys.map(key => key && !getPresetRules(key) ? '' : key);
+
+    container.innerHTML = whatIfPresetKeys.map((key, index) => `
+        <div class="whatif-preset">
+            <span class="whatif-preset-label">${index === 0 ? 'Baseline' : `Rules ${index + 1}`}</span>
+            <select class="preset-select" data-whatif-index="${index}" aria-label="${index === 0 ? 'Baseline rules' : `Rules ${index + 1}`}"></select>
+            ${index >= 2 ? `<button class="preset-btn danger" data-remove-whatif="${index}" title="Remove">&times;</button>` : ''}
+        </div>`).join('');
+
+    container.querySelectorAll('select[data-whatif-index]').forEach(select => {
+        updatePresetDropdown(select, 'Current rules');
+        select.value = whatIfPresetKeys[Number(select.dataset.whatifIndex)];
+    });
+    document.getElementById('whatif-add-preset').disabled = whatIfPresetKeys.length >= WHAT_IF_LIMIT;
+}
+
+// ===== RENDERING =====
+
+// A rule set whose formula failed on the recorded runs scores nothing
+function renderScenarioError(scenario) {
+    return scenario.error
+        ? `<div class="whatif-error">Formula error: ${escapeHtml(scenario.error)}</div>`
+        : '';
+}
+
+// "+40", "-12.5" or "0" for a change in points
+function formatPointsDelta(value, digits = 0) {
+    const text = Math.abs(value).toFixed(digits);
+    if (Number(text) === 0) {
+        return '0';
+    }
+    return `${value > 0 ? '+' : '-'}${text}`;
+}
+
+function getDeltaClass(value) {
+    if (value > 0) {
+        return 'up';
+    }
+    return value < 0 ? 'down' : '';
+}
+
+function renderRankChange(rankChange) {
+    if (!rankChange) {
+        return '';
+    }
+    const arrow = rankChange > 0 ? '&#9650;' : '&#9660;';
+    const places = Math.abs(rankChange);
+    return ` <span class="rank-change ${getDeltaClass(rankChange)}" title="${places} place${places === 1 ? '' : 's'} ${rankChange > 0 ? 'up' : 'down'}">${arrow}${places}</span>`;
+}
+
+// Components whose points changed, e.g. "C -150 · T +87"
+function renderComponentDeltas(componentDeltas, components) {
+    const changed = components
+        .filter(component => Number(Math.abs(componentDeltas[component.code]).toFixed(0)) !== 0)
+        .map(component => `<span class="${getDeltaClass(componentDeltas[component.code])}" title="${escapeHtml(getComponentChartLabel(component))}">${escapeHtml(component.code)} ${formatPointsDelta(componentDeltas[component.code])}</span>`);
+    return changed.length > 0 ? `<div class="component-deltas">${changed.join(' · ')}</div>` : '';
+}
+
+function renderWhatIfResultCells(result, index, components) {
+    const score = result.score === null ? '–' : result.score.toFixed(0);
+    if (index === 0 || result.scoreDelta === null) {
+        return `
+            <td class="rank-cell">${result.rank || '–'}</td>
+            <td class="number-cell score-cell">${score}</td>`;
+    }
+    return `
+            <td class="rank-cell">${result.rank}${renderRankChange(result.rankChange)}</td>
+            <td class="number-cell score-cell">
+                ${score} <span class="score-delta ${getDeltaClass(result.scoreDelta)}">${formatPointsDelta(result.scoreDelta)}</span>
+                ${renderComponentDeltas(result.componentDeltas, components)}
+            </td>`;
+}
+
+function renderWhatIfStandings(comparison) {
+    const heading = comparison.scenarios.map((scenario, index) => `
+            <th colspan="2" class="whatif-scenario${index === 0 ? ' baseline' : ''}">
+                ${escapeHtml(scenario.name)}
+                <div class="muted-cell">${escapeHtml(describeRankingPolicy(scenario.rules))} · <span class="rules-hash-cell">${escapeHtml(getRulesFingerprint(scenario.rules))}</span></div>
+                ${renderScenarioError(scenario)}
+            </th>`).join('');
+
+    const rows = comparison.rows.map(row => {
+        const moved = row.results.some(result => result.rankChange);
+        return `
+        <tr class="${moved ? 'rank-changed' : ''}">
+            <td>${escapeHtml(getTeamLabel(row.team))}</td>
+            ${row.results.map((result, index) => renderWhatIfResultCells(result, index, comparison.components)).join('')}
+        </tr>`;
+    }).join('');
+
+    return `
+        <table class="event-table whatif-table">
+            <thead>
+                <tr><th rowspan="2">Team</th>${heading}</tr>
+                <tr>${comparison.scenarios.map(() => '<th>Rank</th><th>Score</th>').join('')}</tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+function renderWhatIfComponents(comparison) {
+    const rows = comparison.components.map(component => `
+        <tr>
+            <td>${escapeHtml(getComponentChartLabel(component))}</td>
+            ${component.averages.map((average, index) => `
+            <td class="number-cell">
+                ${average === null ? '–' : average.toFixed(1)}
+                ${index > 0 && component.deltas[index] !== null ? `<span class="score-delta ${getDeltaClass(component.deltas[index])}">${formatPointsDelta(component.deltas[index], 1)}</span>` : ''}
+            </td>`).join('')}
+        </tr>`).join('');
+
+    return `
+        <table class="event-table whatif-table">
+            <thead>
+                <tr><th>Component</th>${comparison.scenarios.map(scenario => `<th>${escapeHtml(scenario.name)}${renderScenarioError(scenario)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+function renderWhatIfView(runs) {
+    if (runs.length === 0) {
+        return '<div class="event-empty">No runs recorded yet</div>';
+    }
+
+    const comparison = buildRuleComparison(teams, runs, whatIfPresetKeys.map(getWhatIfScenario));
+    const moved = comparison.rows.filter(row => row.results.some(result => result.rankChange)).length;
+
+    return `
+        <div class="event-caption">
+            ${runs.length} run${runs.length === 1 ? '' : 's'} re-scored ·
+            ${moved === 0 ? 'No team changes rank' : `${moved} team${moved === 1 ? '' : 's'} change rank`}
+        </div>
+        ${renderWhatIfStandings(comparison)}
+        <h3 class="whatif-heading">Average Points per Run</h3>
+        ${renderWhatIfComponents(comparison)}`;
+}
+
+function renderWhatIf() {
+    if (document.getElementById('event-panel-whatif').classList.contains('hidden')) {
+        return;
+    }
+
+    const scope = document.getElementById('whatif-scope');
+    updateRoundScopeSelect(scope);
+    document.getElementById('whatif-view').innerHTML = renderWhatIfView(getScopedRuns(scope));
+}
+
+// ===== INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', function() {
+    const presetContainer = document.getElementById('whatif-presets');
+
+    // Presets may have been saved since the tab was last open
+    document.querySelector('.event-tab[data-tab="whatif"]').addEventListener('click', function() {
+        renderWhatIfPresetSelects();
+        renderWhatIf();
+    });
+
+    presetContainer.addEventListener('change', function(e) {
+        const select = e.target.closest('select[data-whatif-index]');
+        if (select) {
+            whatIfPresetKeys[Number(select.dataset.whatifIndex)] = select.value;
+            renderWhatIf();
+        }
+    });
+
+    presetContainer.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-remove-whatif]');
+        if (button) {
+            whatIfPresetKeys.splice(Number(button.dataset.removeWhatif), 1);
+            renderWhatIfPresetSelects();
+            renderWhatIf();
+        }
+    });
+
+    document.getElementById('whatif-add-preset').addEventListener('click', function() {
+        if (whatIfPresetKeys.length < WHAT_IF_LIMIT) {
+            whatIfPresetKeys.push('');
+            renderWhatIfPresetSelects();
+            renderWhatIf();
+        }
+    });
+
+    document.getElementById('whatif-scope').addEventListener('change', renderWhatIf);
+});
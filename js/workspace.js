@@ -0,0 +1,513 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - WORKSPACE BACKUP
+ * ========================================================================
+ *
+ * FEATURES:
+ * - Backup: One JSON file with the current rules, all user presets, the
+ *   team registry, the run log, the rounds and the dark mode preference,
+ *   e.g. to move an event to another laptop
+ * - Restore: Checked in full before anything changes, then either merged
+ *   into this workspace or replacing it
+ * - Merging: Teams are matched by id or team number and their runs
+ *   re-numbered in recording order; runs and rounds already present are
+ *   skipped; preset names that collide are renamed, overwritten or skipped
+ *
+ * FILE FORMAT:
+ *   { type: 'lfr-workspace', version, timestamp, config, presets,
+ *     teams, runLog, rounds, activeRoundId, darkMode }
+ * Backups from before rounds have no `rounds` and restore without any.
+ * `config` is a configuration file (see config-schema.js), so the rules
+ * go through the same migrations and checks as a configuration import.
+ *
+ * ====================================================================== */
+
+const WORKSPACE_TYPE = 'lfr-workspace';
+const WORKSPACE_VERSION = 1;
+
+// Problems listed before the rest are summarised
+const WORKSPACE_ERROR_LIMIT = 8;
+
+// What to do with an imported preset whose name is taken by a different preset
+const PRESET_CONFLICT_POLICIES = {
+    rename: 'Keep both (rename the imported preset)',
+    overwrite: 'Replace mine with the imported preset',
+    skip: 'Keep mine'
+};
+
+// ===== DATA =====
+
+function createWorkspaceBackup({ rules, presets, teams, runLog, rounds, activeRoundId, darkMode }) {
+    return {
+        type: WORKSPACE_TYPE,
+        version: WORKSPACE_VERSION,
+        timestamp: new Date().toISOString(),
+        config: createConfigFile(rules),
+        presets,
+        teams,
+        runLog,
+        rounds,
+        activeRoundId,
+        darkMode
+    };
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Problems with one preset's partial rules, as messages
+function validatePreset(name, rules) {
+    if (!isPlainObject(rules)) {
+        return [`Preset "${name}" is not a rule set`];
+    }
+
+    const unknown = Object.keys(rules)
+        .filter(key => !Object.prototype.hasOwnProperty.call(DEFAULT_RULES, key))
+        .map(key => `Preset "${name}": unknown setting "${key}"`);
+    const invalid = Object.entries(validateRules(rules))
+        .map(([key, message]) => `Preset "${name}": ${getRuleLabel(key)}: ${message}`);
+
+    return [...unknown, ...invalid];
+}
+
+function validateTeam(team, index) {
+    if (!isPlainObject(team) || typeof team.id !== 'string' || !team.id) {
+        return `Team ${index + 1} has no id`;
+    }
+    if (typeof team.name !== 'string' || !team.name.trim()) {
+        return `Team ${index + 1} has no name`;
+    }
+    if (['number', 'school'].some(key => team[key] !== undefined && typeof team[key] !== 'string')) {
+        return `Team "${team.name}" has an invalid number or school`;
+    }
+    return null;
+}
+
+// Shape of a logged run's input (as normalised by the scoring engine).
+// Runs logged before checkpoint names, custom components or splits
+// existed may leave those out.
+const RUN_INPUT_FIELDS = {
+    leftStart: { required: true, valid: value => typeof value === 'boolean' },
+    reachedEnd: { required: true, valid: value => typeof value === 'boolean' },
+    checkpoints: { required: true, valid: value => Number.isInteger(value) && value >= 0 },
+    restarts: { required: true, valid: value => Number.isInteger(value) && value >= 0 },
+    totalTime: { required: true, valid: value => Number.isFinite(value) && value >= 0 },
+    elapsedSeconds: { required: true, valid: value => Number.isFinite(value) && value >= 0 },
+    clearedCheckpoints: { valid: value => Array.isArray(value) && value.every(cleared => typeof cleared === 'boolean') },
+    custom: { valid: value => isPlainObject(value) && Object.values(value).every(Number.isFinite) },
+    splits: {
+        valid: value => Array.isArray(value) && value.every(split =>
+            isPlainObject(split) && Object.prototype.hasOwnProperty.call(SPLIT_TYPES, split.type) &&
+            Number.isFinite(split.elapsedSeconds))
+    }
+};
+
+// Name of the first input field that is missing or has the wrong type
+function findInvalidRunInput(input) {
+    return Object.keys(RUN_INPUT_FIELDS).find(key => {
+        const { required, valid } = RUN_INPUT_FIELDS[key];
+        return input[key] === undefined ? Boolean(required) : !valid(input[key]);
+    });
+}
+
+function validateRun(run, index) {
+    const label = `Run ${index + 1}`;
+
+    if (!isPlainObject(run) || typeof run.id !== 'string' || typeof run.teamId !== 'string') {
+        return `${label} has no id or team`;
+    }
+    if (!Number.isInteger(run.attempt) || run.attempt < 1) {
+        return `${label} has an invalid attempt number`;
+    }
+    if (Number.isNaN(Date.parse(run.timestamp))) {
+        return `${label} has an invalid time`;
+    }
+    if (!isPlainObject(run.input) || !isPlainObject(run.rules)) {
+        return `${label} is missing its inputs or rules`;
+    }
+    const invalidInput = findInvalidRunInput(run.input);
+    if (invalidInput !== undefined) {
+        return `${label} has an invalid input "${invalidInput}"`;
+    }
+    if (!isPlainObject(run.result) || !Number.isFinite(run.result.finalScore) || !Array.isArray(run.result.components)) {
+        return `${label} is missing its score`;
+    }
+    return null;
+}
+
+function validateRound(round, index) {
+    if (!isPlainObject(round) || typeof round.id !== 'string' || typeof round.name !== 'string' || !round.name.trim()) {
+        return `Round ${index + 1} has no id or name`;
+    }
+    if (!ROUND_FORMATS[round.format]) {
+        return `Round "${round.name}" has an unknown format`;
+    }
+    if (!isPlainObject(round.rules) || Object.keys(validateRules({ ...DEFAULT_RULES, ...round.rules })).length > 0) {
+        return `Round "${round.name}" has invalid rules`;
+    }
+    if (round.teamIds !== null && !(Array.isArray(round.teamIds) && round.teamIds.every(id => typeof id === 'string'))) {
+        return `Round "${round.name}" has an invalid team list`;
+    }
+    if (round.sourceRoundId !== null && !Number.isInteger(round.advanceCount)) {
+        return `Round "${round.name}" has no number of advancing teams`;
+    }
+    if (![undefined, null].includes(round.matchAttempts) && !(Number.isInteger(round.matchAttempts) && round.matchAttempts >= 1)) {
+        return `Round "${round.name}" has an invalid number of runs per match`;
+    }
+    if (round.closedMatches !== undefined && !(Array.isArray(round.closedMatches) && round.closedMatches.every(key => typeof key === 'string'))) {
+        return `Round "${round.name}" has an invalid list of closed matches`;
+    }
+    return null;
+}
+
+// Check a parsed backup file in full.
+// Returns { workspace, errors }; workspace is null when there are errors.
+function validateWorkspaceBackup(data) {
+    if (!isPlainObject(data) || data.type !== WORKSPACE_TYPE) {
+        return { workspace: null, errors: ['Not a workspace backup file'] };
+    }
+    if (!Number.isInteger(data.version) || data.version > WORKSPACE_VERSION) {
+        return { workspace: null, errors: [`Backup version "${data.version}" is not supported by this calculator`] };
+    }
+
+    const errors = [];
+    const config = validateConfig(data.config);
+    config.errors.forEach(error => errors.push(`Current rules: ${error.label}: ${error.message}`));
+
+    const presets = isPlainObject(data.presets) ? data.presets : {};
+    if (!isPlainObject(data.presets)) {
+        errors.push('Presets must be an object of named rule sets');
+    }
+    Object.entries(presets).forEach(([name, rules]) => errors.push(...validatePreset(name, rules)));
+
+    const teams = Array.isArray(data.teams) ? data.teams : [];
+    const runLog = Array.isArray(data.runLog) ? data.runLog : [];
+    if (!Array.isArray(data.teams) || !Array.isArray(data.runLog)) {
+        errors.push('Teams and runs must be lists');
+    }
+    teams.forEach((team, index) => errors.push(validateTeam(team, index)));
+    runLog.forEach((run, index) => errors.push(validateRun(run, index)));
+
+    const rounds = data.rounds === undefined ? [] : data.rounds;
+    if (!Array.isArray(rounds)) {
+        errors.push('Rounds must be a list');
+    } else {
+        rounds.forEach((round, index) => errors.push(validateRound(round, index)));
+    }
+
+    const problems = errors.filter(Boolean);
+    if (problems.length > 0) {
+        return { workspace: null, errors: problems };
+    }
+
+    return {
+        workspace: {
+            timestamp: data.timestamp,
+            rules: config.rules,
+            presets,
+            teams,
+            runLog,
+            rounds,
+            activeRoundId: rounds.some(round => round.id === data.activeRoundId) ? data.activeRoundId : null,
+            darkMode: Boolean(data.darkMode)
+        },
+        errors: []
+    };
+}
+
+// Imported preset names already used here by a preset with different rules
+function findPresetConflicts(currentPresets, incomingPresets) {
+    return Object.keys(incomingPresets).filter(name => currentPresets[name] &&
+        JSON.stringify(currentPresets[name]) !== JSON.stringify(incomingPresets[name]));
+}
+
+// First free name of the form "Name (2)", "Name (3)", ...
+function getFreePresetName(name, presets) {
+    let suffix = 2;
+    while (presets[`${name} (${suffix})`] || BUILT_IN_PRESETS[`${name} (${suffix})`]) {
+        suffix++;
+    }
+    return `${name} (${suffix})`;
+}
+
+// Add imported presets. Names of built-in presets are always renamed.
+function mergePresets(current, incoming, conflictPolicy) {
+    const presets = { ...current };
+    const renamed = [];
+
+    Object.entries(incoming).forEach(([name, rules]) => {
+        const taken = BUILT_IN_PRESETS[name] ||
+            (presets[name] && JSON.stringify(presets[name]) !== JSON.stringify(rules));
+
+        if (!taken || (conflictPolicy === 'overwrite' && !BUILT_IN_PRESETS[name])) {
+            presets[name] = rules;
+        } else if (conflictPolicy === 'rename' || BUILT_IN_PRESETS[name]) {
+            const newName = getFreePresetName(name, presets);
+            presets[newName] = rules;
+            renamed.push(`${name} → ${newName}`);
+        }
+    });
+
+    return { presets, renamed };
+}
+
+// Number each team's attempts in each round 1, 2, 3... in the order they
+// were recorded. Renumbered runs move on to their next revision (see sync.js).
+function renumberAttempts(runLog, rounds) {
+    const counts = {};
+    return [...runLog]
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+        .map(run => {
+            const key = `${getRunRoundId(run, rounds)}:${run.teamId}`;
+            counts[key] = (counts[key] || 0) + 1;
+            return counts[key] === run.attempt ? run : { ...run, attempt: counts[key], rev: getRevision(run) + 1 };
+        });
+}
+
+// Combine the current workspace with a validated backup.
+// options: { mode: 'merge' | 'replace', presetConflict, useRules }
+// Returns { workspace, summary } without changing either input.
+function mergeWorkspace(current, incoming, options) {
+    if (options.mode === 'replace') {
+        const { presets, renamed } = mergePresets({}, incoming.presets, 'rename');
+        return {
+            workspace: { ...incoming, presets },
+            summary: { teamsAdded: incoming.teams.length, runsAdded: incoming.runLog.length, renamed }
+        };
+    }
+
+    const { presets, renamed } = mergePresets(current.presets, incoming.presets, options.presetConflict);
+
+    // Incoming team id -> team id in the merged registry
+    const teamIds = {};
+    const teams = [...current.teams];
+    incoming.teams.forEach(team => {
+        const match = teams.find(t => t.id === team.id) ||
+            (team.number && teams.find(t => t.number === team.number));
+        if (match) {
+            teamIds[team.id] = match.id;
+        } else {
+            teams.push({ ...team });
+            teamIds[team.id] = team.id;
+        }
+    });
+
+    const knownRuns = new Set(current.runLog.map(run => run.id));
+    const newRuns = incoming.runLog
+        .filter(run => !knownRuns.has(run.id))
+        .map(run => ({ ...run, teamId: teamIds[run.teamId] || run.teamId }));
+
+    const knownRounds = new Set(current.rounds.map(round => round.id));
+    const newRounds = incoming.rounds
+        .filter(round => !knownRounds.has(round.id))
+        .map(round => ({
+            ...round,
+            teamIds: round.teamIds && round.teamIds.map(teamId => teamIds[teamId] || teamId)
+        }));
+    const rounds = [...current.rounds, ...newRounds];
+
+    return {
+        workspace: {
+            rules: options.useRules ? incoming.rules : current.rules,
+            presets,
+            teams,
+            runLog: newRuns.length > 0 ? renumberAttempts([...current.runLog, ...newRuns], rounds) : current.runLog,
+            rounds,
+            activeRoundId: current.activeRoundId || (newRounds.length > 0 ? incoming.activeRoundId : null),
+            darkMode: current.darkMode
+        },
+        summary: {
+            teamsAdded: teams.length - current.teams.length,
+            runsAdded: newRuns.length,
+            renamed
+        }
+    };
+}
+
+// ===== UI =====
+
+function getCurrentWorkspace() {
+    return {
+        rules: { ...DEFAULT_RULES, ...scoringRules },
+        presets: userPresets,
+        teams,
+        runLog,
+        rounds,
+        activeRoundId,
+        darkMode: document.body.classList.contains('dark-mode')
+    };
+}
+
+function downloadWorkspaceBackup() {
+    const backup = createWorkspaceBackup(getCurrentWorkspace());
+    const url = URL.createObjectURL(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `lfr-workspace-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+    showToast(`Workspace backed up (${teams.length} teams, ${runLog.length} runs)`, 'success');
+}
+
+// Make the merged workspace the current one, on this page and in storage
+function applyWorkspace(workspace) {
+    userPresets = workspace.presets;
+    saveUserPresets();
+    updatePresetDropdown();
+
+    applyScoringRules(workspace.rules);
+
+    // Records left out of a replaced workspace stay removed on synced
+    // pages, and restored ones that were removed before come back there
+    const droppedFrom = list => record => !list.some(kept => kept.id === record.id);
+    const revive = kind => record => Object.prototype.hasOwnProperty.call(removedIds[kind], record.id) &&
+        getRevision(record) <= removedIds[kind][record.id]
+        ? { ...record, rev: removedIds[kind][record.id] + 1 }
+        : record;
+    markRemoved('teams', teams.filter(droppedFrom(workspace.teams)));
+    markRemoved('runLog', runLog.filter(droppedFrom(workspace.runLog)));
+    markRemoved('rounds', rounds.filter(droppedFrom(workspace.rounds)));
+
+    teams = workspace.teams.map(revive('teams'));
+    runLog = workspace.runLog.map(revive('runLog'));
+    rounds = workspace.rounds.map(revive('rounds'));
+    setActiveRound(workspace.activeRoundId);
+    saveTeams();
+    saveRunLog();
+    saveRounds();
+    refreshEventViews();
+
+    setDarkMode(workspace.darkMode);
+}
+
+// ===== INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', function() {
+    const restoreModal = document.getElementById('restore-modal');
+    const restoreFileInput = document.getElementById('restore-file-input');
+    const restoreSummary = document.getElementById('restore-summary');
+    const restoreOptions = document.getElementById('restore-options');
+    const mergeOptions = document.getElementById('restore-merge-options');
+    const replaceWarning = document.getElementById('restore-replace-warning');
+    const conflictSection = document.getElementById('restore-conflicts');
+    const conflictSelect = document.getElementById('restore-conflict-policy');
+    const useRulesCheckbox = document.getElementById('restore-use-rules');
+    const confirmRestoreBtn = document.getElementById('confirm-restore');
+
+    // Validated backup waiting for confirmation
+    let pendingWorkspace = null;
+
+    conflictSelect.innerHTML = Object.entries(PRESET_CONFLICT_POLICIES)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+
+    function getRestoreMode() {
+        return document.querySelector('input[name="restore-mode"]:checked').value;
+    }
+
+    function updateRestoreOptions() {
+        const replacing = getRestoreMode() === 'replace';
+        mergeOptions.classList.toggle('hidden', replacing);
+        replaceWarning.classList.toggle('hidden', !replacing);
+        confirmRestoreBtn.textContent = replacing ? 'Replace Workspace' : 'Merge';
+    }
+
+    function closeRestoreModal() {
+        pendingWorkspace = null;
+        restoreModal.classList.remove('active');
+    }
+
+    function showRestorePreview(data, source) {
+        const { workspace, errors } = validateWorkspaceBackup(data);
+        pendingWorkspace = workspace;
+
+        if (!workspace) {
+            const shown = errors.slice(0, WORKSPACE_ERROR_LIMIT);
+            const more = errors.length - shown.length;
+            restoreSummary.innerHTML = `
+                From ${escapeHtml(source)}
+                <div class="import-preview-status error">This backup can't be restored:</div>
+                <ul class="import-errors">
+                    ${shown.map(error => `<li>${escapeHtml(error)}</li>`).join('')}
+                    ${more > 0 ? `<li>…and ${more} more</li>` : ''}
+                </ul>`;
+            restoreOptions.classList.add('hidden');
+            confirmRestoreBtn.disabled = true;
+        } else {
+            const presetCount = Object.keys(workspace.presets).length;
+            const conflicts = findPresetConflicts(userPresets, workspace.presets);
+            const created = workspace.timestamp ? new Date(workspace.timestamp).toLocaleString() : 'unknown date';
+
+            restoreSummary.innerHTML = `
+                From ${escapeHtml(source)}, saved ${escapeHtml(created)}
+                <div class="import-preview-status">
+                    ${presetCount} preset${presetCount === 1 ? '' : 's'} ·
+                    ${workspace.teams.length} team${workspace.teams.length === 1 ? '' : 's'} ·
+                    ${workspace.runLog.length} run${workspace.runLog.length === 1 ? '' : 's'}
+                    ${workspace.rounds.length > 0 ? `· ${workspace.rounds.length} round${workspace.rounds.length === 1 ? '' : 's'}` : ''}
+                </div>`;
+            conflictSection.classList.toggle('hidden', conflicts.length === 0);
+            document.getElementById('restore-conflict-names').textContent = conflicts.join(', ');
+            restoreOptions.classList.remove('hidden');
+            confirmRestoreBtn.disabled = false;
+        }
+
+        document.querySelector('input[name="restore-mode"][value="merge"]').checked = true;
+        useRulesCheckbox.checked = false;
+        updateRestoreOptions();
+        restoreModal.classList.add('active');
+    }
+
+    document.getElementById('backup-workspace-btn').addEventListener('click', downloadWorkspaceBackup);
+
+    document.getElementById('restore-workspace-btn').addEventListener('click', () => restoreFileInput.click());
+
+    restoreFileInput.addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = function() {
+            try {
+                showRestorePreview(JSON.parse(reader.result), file.name);
+            } catch (error) {
+                showToast('Failed to restore: the file is not valid JSON', 'error');
+                console.error('Restore error:', error);
+            }
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    });
+
+    document.querySelectorAll('input[name="restore-mode"]').forEach(radio => {
+        radio.addEventListener('change', updateRestoreOptions);
+    });
+
+    confirmRestoreBtn.addEventListener('click', function() {
+        if (!pendingWorkspace) {
+            return;
+        }
+
+        const { workspace, summary } = mergeWorkspace(getCurrentWorkspace(), pendingWorkspace, {
+            mode: getRestoreMode(),
+            presetConflict: conflictSelect.value,
+            useRules: useRulesCheckbox.checked
+        });
+        applyWorkspace(workspace);
+        closeRestoreModal();
+
+        const renamed = summary.renamed.length > 0 ? `; renamed ${summary.renamed.join(', ')}` : '';
+        showToast(`Workspace restored: ${summary.teamsAdded} teams and ${summary.runsAdded} runs added${escapeHtml(renamed)}`, 'success');
+    });
+
+    document.getElementById('cancel-restore').addEventListener('click', closeRestoreModal);
+    document.getElementById('close-restore-modal').addEventListener('click', closeRestoreModal);
+
+    restoreModal.addEventListener('click', function(e) {
+        if (e.target === restoreModal) {
+            closeRestoreModal();
+        }
+    });
+});
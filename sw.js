@@ -0,0 +1,106 @@
+/* ========================================================================
+ * LFR SCORE CALCULATOR - SERVICE WORKER
+ * ========================================================================
+ *
+ * Makes the calculator work without a network, e.g. at venues with no
+ * Wi-Fi:
+ * - Install: Every page, script, style and icon is stored in a cache
+ *   named after CACHE_VERSION
+ * - Fetch: Files are served from that cache first, the network only
+ *   for anything else. Vercel's insights script gets an empty script
+ *   when offline instead of a network error.
+ * - Update: A changed sw.js installs alongside the running one and waits.
+ *   The page offers to reload (see js/pwa.js), which activates it and
+ *   removes the old cache.
+ *
+ * CACHE_VERSION is a hash of the files below. After changing any of them,
+ * run `node tools/stamp-sw.js` so visitors are offered the new version.
+ *
+ * ====================================================================== */
+
+const CACHE_VERSION = 'lfr-83cd955fd1';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'display.html',
+    'report.html',
+    'manifest.webmanifest',
+    'favicon.ico',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'css/styles.css',
+    'js/formula.js',
+    'js/scoring-engine.js',
+    'js/ranking.js',
+    'js/config-schema.js',
+    'js/run-state.js',
+    'js/sync.js',
+    'js/tournament.js',
+    'js/event.js',
+    'js/export.js',
+    'js/workspace.js',
+    'js/rounds.js',
+    'js/analytics.js',
+    'js/dashboard.js',
+    'js/rescoring.js',
+    'js/what-if.js',
+    'js/qr.js',
+    'js/share.js',
+    'js/judge-lock.js',
+    'js/shortcuts.js',
+    'js/app.js',
+    'js/arenas.js',
+    'js/display.js',
+    'js/report.js',
+    'js/pwa.js'
+];
+
+// Analytics is optional: offline it becomes a script that does nothing
+const INSIGHTS_PATH = '/_vercel/insights/';
+
+self.addEventListener('install', function(event) {
+    // 'reload' skips the HTTP cache so a new version never stores old files
+    event.waitUntil(caches.open(CACHE_VERSION).then(cache =>
+        cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', function(event) {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('lfr-') && key !== CACHE_VERSION)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// Sent by the page when the user accepts the update
+self.addEventListener('message', function(event) {
+    if (event.data === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (url.pathname.startsWith(INSIGHTS_PATH)) {
+        event.respondWith(fetch(request).catch(() =>
+            new Response('', { headers: { 'Content-Type': 'application/javascript' } })));
+        return;
+    }
+
+    // Pages keep their options in the query (display.html?rows=8)
+    const isPage = request.mode === 'navigate';
+    event.respondWith(caches.match(request, { cacheName: CACHE_VERSION, ignoreSearch: isPage })
+        .then(cached => cached || fetch(request).catch(error => {
+            if (isPage) {
+                return caches.match('index.html', { cacheName: CACHE_VERSION });
+            }
+            throw error;
+        })));
+});
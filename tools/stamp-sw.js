@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/* ========================================================================
+ * LFR SCORE CALCULATOR - SERVICE WORKER STAMP
+ * ========================================================================
+ *
+ * Sets CACHE_VERSION in sw.js to a hash of every file it precaches, so
+ * any change to the app gives the service worker new bytes and visitors
+ * are offered the update. Also reports app files missing from
+ * PRECACHE_URLS, and listed files that don't exist.
+ *
+ * USAGE:
+ *   node tools/stamp-sw.js            (update sw.js)
+ *   node tools/stamp-sw.js --check    (exit 1 if sw.js is out of date)
+ *
+ * ====================================================================== */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+const SW_PATH = path.join(ROOT, 'sw.js');
+
+// Files the app needs offline: these folders and the pages in the root
+const APP_FOLDERS = ['js', 'css', 'icons'];
+
+function readPrecacheUrls(source) {
+    const list = source.match(/const PRECACHE_URLS = \[([\s\S]*?)\];/);
+    if (!list) {
+        throw new Error('PRECACHE_URLS not found in sw.js');
+    }
+    return [...list[1].matchAll(/'([^']+)'/g)].map(match => match[1]);
+}
+
+function listAppFiles() {
+    const pages = fs.readdirSync(ROOT).filter(name => name.endsWith('.html'));
+    const assets = APP_FOLDERS.flatMap(folder => fs.readdirSync(path.join(ROOT, folder))
+        .map(name => `${folder}/${name}`));
+    return [...pages, ...assets];
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const source = fs.readFileSync(SW_PATH, 'utf8');
+    const urls = readPrecacheUrls(source);
+    const files = urls.filter(url => url !== './');
+
+    const missing = files.filter(file => !fs.existsSync(path.join(ROOT, file)));
+    const unlisted = listAppFiles().filter(file => !urls.includes(file));
+    missing.forEach(file => console.error(`Listed in PRECACHE_URLS but missing: ${file}`));
+    unlisted.forEach(file => console.error(`Not in PRECACHE_URLS: ${file}`));
+    if (missing.length > 0 || unlisted.length > 0) {
+        process.exit(1);
+    }
+
+    const hash = crypto.createHash('sha256');
+    hash.update(urls.join('\n'));
+    files.forEach(file => hash.update(fs.readFileSync(path.join(ROOT, file))));
+    const version = `lfr-${hash.digest('hex').slice(0, 10)}`;
+
+    const stamped = source.replace(/const CACHE_VERSION = '[^']*';/, `const CACHE_VERSION = '${version}';`);
+    if (stamped === source) {
+        console.log(`sw.js is up to date (${version})`);
+        return;
+    }
+    if (check) {
+        console.error(`sw.js is out of date: run node tools/stamp-sw.js (${version})`);
+        process.exit(1);
+    }
+
+    fs.writeFileSync(SW_PATH, stamped);
+    console.log(`sw.js stamped ${version}`);
+}
+
+main();
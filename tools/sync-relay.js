@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/* ========================================================================
+ * LFR SCORE CALCULATOR - SYNC RELAY
+ * ========================================================================
+ *
+ * Minimal WebSocket relay for multi-device judging (see js/sync.js).
+ * Every text message a client sends is forwarded unchanged to all other
+ * connected clients. Nothing is stored. Uses only Node's standard library.
+ *
+ * USAGE:
+ *   node tools/sync-relay.js [port]        (default port 8787)
+ *
+ * Then enter ws://<this computer's address>:8787 under Event → Sync on
+ * every device, or open display.html?relay=ws://<address>:8787.
+ *
+ * ====================================================================== */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number.parseInt(process.argv[2]) || 8787;
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Largest message accepted from a client; run histories are a few hundred KB at most
+const MAX_MESSAGE_BYTES = 4 * 1024 * 1024;
+
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xA };
+
+const clients = new Set();
+
+// Build an unmasked server-to-client frame
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+// Read one complete frame from the start of buffer.
+// Returns { opcode, payload, size } or null if more data is needed.
+function decodeFrame(buffer) {
+    if (buffer.length < 2) {
+        return null;
+    }
+
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    if (length > MAX_MESSAGE_BYTES) {
+        throw new Error('Message too large');
+    }
+
+    const maskOffset = offset;
+    if (masked) {
+        offset += 4;
+    }
+    if (buffer.length < offset + length) {
+        return null;
+    }
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+
+    return { opcode, payload, size: offset + length };
+}
+
+function broadcast(sender, payload) {
+    const frame = encodeFrame(OPCODES.text, payload);
+    clients.forEach(client => {
+        if (client !== sender && !client.destroyed) {
+            client.write(frame);
+        }
+    });
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('LFR sync relay: connect with a WebSocket client\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    clients.add(socket);
+    console.log(`Client connected (${clients.size} total)`);
+
+    let pending = Buffer.alloc(0);
+
+    socket.on('data', chunk => {
+        pending = Buffer.concat([pending, chunk]);
+
+        try {
+            let frame;
+            while ((frame = decodeFrame(pending))) {
+                pending = pending.subarray(frame.size);
+
+                if (frame.opcode === OPCODES.text) {
+                    broadcast(socket, frame.payload);
+                } else if (frame.opcode === OPCODES.ping) {
+                    socket.write(encodeFrame(OPCODES.pong, frame.payload));
+                } else if (frame.opcode === OPCODES.close) {
+                    socket.end(encodeFrame(OPCODES.close));
+                    return;
+                }
+            }
+        } catch (error) {
+            console.error(`Dropping client: ${error.message}`);
+            socket.destroy();
+        }
+    });
+
+    socket.on('close', () => {
+        clients.delete(socket);
+        console.log(`Client disconnected (${clients.size} total)`);
+    });
+
+    socket.on('error', () => socket.destroy());
+});
+
+server.listen(PORT, () => {
+    console.log(`LFR sync relay listening on ws://0.0.0.0:${PORT}`);
+});